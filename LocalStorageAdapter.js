@@ -0,0 +1,61 @@
+// LocalStorageAdapter.js - completed recordings and thumbnails on the local disk (default)
+// Keys are '/'-separated paths under the storage root, e.g. rooms/<roomId>/completed/<file>.mp4,
+// and are served by server.js under /recordings/<key>.
+const fs = require('fs-extra');
+const path = require('path');
+
+class LocalStorageAdapter {
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || './ui-recordings');
+    this.isLocal = true;
+  }
+
+  localPath(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  // Takes ownership of the file: it is moved into place (a no-op when already there)
+  async put(key, sourcePath) {
+    const target = this.localPath(key);
+    if (path.resolve(sourcePath) !== target) {
+      await fs.move(sourcePath, target, { overwrite: true });
+    }
+    return key;
+  }
+
+  async putDirectory(prefix, sourceDir) {
+    await this.put(prefix, sourceDir);
+    return prefix;
+  }
+
+  read(key) {
+    return fs.readFile(this.localPath(key));
+  }
+
+  async download(key, destinationPath) {
+    await fs.copy(this.localPath(key), destinationPath);
+    return destinationPath;
+  }
+
+  exists(key) {
+    return fs.pathExists(this.localPath(key));
+  }
+
+  remove(key) {
+    return fs.remove(this.localPath(key));
+  }
+
+  removePrefix(prefix) {
+    return fs.remove(this.localPath(prefix));
+  }
+
+  getUrl(key) {
+    return `/recordings/${key.split('/').map(encodeURIComponent).join('/')}`;
+  }
+}
+
+module.exports = LocalStorageAdapter;
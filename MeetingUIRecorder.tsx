@@ -7,8 +7,24 @@ interface Props {
   roomId: string;
   userId: string;
   serverUrl?: string;
+  authToken?: string; // Signed token from the meeting backend (required when the server has ENABLE_AUTH)
   closeRecordWidget: ()=> void;
   recordWidgetOpen: boolean;
+  layout?: 'grid' | 'speaker' | 'pip'; // Start a composite recording other participants can join
+  joinRecordingId?: string; // Send this participant's screen and audio into an existing composite recording
+  pauseMode?: 'cut' | 'card'; // Drop paused time (default) or show a short "paused" card in its place
+  profile?: string; // Encoding profile (GET /api/v1/encoding-profiles); defaults to the room's or the server's
+  audioOnly?: boolean; // Record the microphone only (no screen); the server produces M4A/Opus
+  audioProcessing?: AudioProcessing; // Override the server's audio clean-up for this recording
+  detectIdle?: boolean; // Report still, silent stretches (server default: IDLE_DETECTION)
+}
+
+interface AudioProcessing {
+  loudnorm?: boolean; // EBU R128 loudness normalization
+  loudnessTarget?: number; // LUFS, default -16
+  denoise?: boolean;
+  trimSilence?: boolean; // Leading/trailing silence (audio-only recordings)
+  mono?: boolean;
 }
 
 interface Stats {
@@ -26,24 +42,52 @@ interface FrameData {
     width: number;
     height: number;
     frameNumber: number;
+    participantId: string;
+    speaking: boolean;
   };
 }
 
 interface IResponseObject{
    success: boolean;
     recordingId?: string;
+    jobId?: string;
     error?: string;
     fileUrl?: string;
+    hlsUrl?: string;
     thumbnailUrl?: string;
 
 }
 
+interface RecordingMarker {
+  id: string;
+  label: string;
+  author: string | null;
+  offset: number;
+  createdAt: string;
+}
+
+interface ProcessingProgress {
+  recordingId: string;
+  stage: 'video' | 'audio' | 'audioProcessing' | 'mux' | 'idle' | 'transcript' | 'hls' | 'thumbnail' | 'clip' | 'done';
+  stagePercent: number;
+  percent: number;
+  eta: number | null;
+}
+
 const MeetingUIRecorder: React.FC<Props> = ({ 
   roomId = 'demo-room', 
   userId = 'user-123', 
   serverUrl = 'http://localhost:4000',
+  authToken,
   closeRecordWidget,
-  recordWidgetOpen
+  recordWidgetOpen,
+  layout,
+  joinRecordingId,
+  pauseMode,
+  profile,
+  audioOnly,
+  audioProcessing,
+  detectIdle
 }) => {
   const [isRecording, setIsRecording] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
@@ -64,6 +108,10 @@ const MeetingUIRecorder: React.FC<Props> = ({
   const [downloadError, setDownloadError] = useState(false);
   const [processingTimeout, setProcessingTimeout] = useState<NodeJS.Timeout | null>(null);
   const [processingFailed, setProcessingFailed] = useState(false);
+  const [processingProgress, setProcessingProgress] = useState<ProcessingProgress | null>(null);
+  const [markerLabel, setMarkerLabel] = useState('');
+  const [title, setTitle] = useState('');
+  const [markers, setMarkers] = useState<RecordingMarker[]>([]);
   
   const socketRef = useRef<Socket | null>(null);
   const timerRef = useRef<NodeJS.Timeout | null>(null);
@@ -80,15 +128,31 @@ const MeetingUIRecorder: React.FC<Props> = ({
   const isRecordingRef = useRef(false);
   const isPausedRef = useRef(false);
   const recordingIdRef = useRef<string | null>(null);
+  // Recording handed to the server for processing (others in the room may record too)
+  const processingRecordingIdRef = useRef<string | null>(null);
   const audioIndexRef = useRef(0);
   const lastFrameSentRef = useRef<number>(0);
   const frameNumberRef = useRef(0);
   const healthCheckRef = useRef<NodeJS.Timeout | null>(null);
   const statusPollRef = useRef<NodeJS.Timeout | null>(null);
+  // Voice activity for the speaker layout
+  const audioContextRef = useRef<AudioContext | null>(null);
+  const analyserRef = useRef<AnalyserNode | null>(null);
 
   const TARGET_FPS = 30; // Target 30 FPS
   const FRAME_INTERVAL = 1000 / TARGET_FPS;
   const MAX_QUEUE_SIZE = 300; // Increased to 10 seconds buffer at 30fps
+  const SPEAKING_RMS = 0.02;
+
+  const isSpeaking = () => {
+    const analyser = analyserRef.current;
+    if (!analyser) return false;
+
+    const samples = new Float32Array(analyser.fftSize);
+    analyser.getFloatTimeDomainData(samples);
+    const rms = Math.sqrt(samples.reduce((sum, value) => sum + value * value, 0) / samples.length);
+    return rms > SPEAKING_RMS;
+  };
 
   const addLog = useCallback((message: string) => {
     const timestamp = new Date().toLocaleTimeString();
@@ -101,6 +165,7 @@ const MeetingUIRecorder: React.FC<Props> = ({
     addLog('Initializing socket connection...');
     
     const socket = io(serverUrl, { 
+      auth: authToken ? { token: authToken } : undefined,
       transports: ['websocket', 'polling'], 
       reconnection: true,
       reconnectionDelay: 1000,
@@ -140,15 +205,35 @@ const MeetingUIRecorder: React.FC<Props> = ({
     });
 
     socket.on('recording-stopped', (data: IResponseObject) => {
+      const ownId = recordingIdRef.current || processingRecordingIdRef.current;
+      if (data.recordingId && data.recordingId !== ownId) {
+        addLog(`ℹ️ Another recording in this room finished: ${data.recordingId}`);
+        return;
+      }
+      processingRecordingIdRef.current = null;
       addLog('🛑 Recording stopped (server)');
       addLog(`📁 Recording URL: ${data.fileUrl}`);
       setIsRecording(false);
       setIsPaused(false);
       setRecordingId(null);
       setDownloadUrl(data.fileUrl);
+      setIsProcessingVideo(false);
+      setProcessingFailed(false);
+      setProcessingProgress(null);
       stopStreams();
     });
 
+    socket.on('recording-processing-progress', (progress: ProcessingProgress) => {
+      if (progress.recordingId !== processingRecordingIdRef.current) return;
+      setProcessingProgress(progress);
+    });
+
+    socket.on('recording-marker-added', (data: { recordingId: string; marker: RecordingMarker }) => {
+      if (data.recordingId !== recordingIdRef.current) return;
+      setMarkers(prev => (prev.some(m => m.id === data.marker.id) ? prev : [...prev, data.marker]));
+      addLog(`📍 Marker at ${data.marker.offset.toFixed(1)}s: ${data.marker.label}`);
+    });
+
     socket.on('recording-error', (error: IResponseObject) => {
       addLog(`❌ Recording error: ${error.error}`);
     });
@@ -156,7 +241,7 @@ const MeetingUIRecorder: React.FC<Props> = ({
     return () => {
       socket.disconnect();
     };
-  }, [roomId, serverUrl, addLog]);
+  }, [roomId, serverUrl, authToken, addLog]);
 
   // Timer
   useEffect(() => {
@@ -181,6 +266,18 @@ const MeetingUIRecorder: React.FC<Props> = ({
     };
   }, [isRecording, isPaused]);
 
+  // Processing timeout only fires when the server stops reporting progress
+  useEffect(() => {
+    if (!processingProgress || !processingTimeout) return;
+
+    clearTimeout(processingTimeout);
+    setProcessingTimeout(setTimeout(() => {
+      addLog('⚠️ No processing progress for 2 minutes - video may still be encoding');
+      setIsProcessingVideo(false);
+      setProcessingFailed(true);
+    }, 120000));
+  }, [processingProgress]);
+
   // Cleanup on unmount
   useEffect(() => {
     return () => {
@@ -326,6 +423,37 @@ const MeetingUIRecorder: React.FC<Props> = ({
   };
 
 
+  /**
+   * Request the microphone only (audio recordings)
+   */
+  const requestMicrophoneCapture = async () => {
+    try {
+      addLog('Requesting microphone...');
+
+      const microphoneStream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+          echoCancellation: true,
+          noiseSuppression: true,
+          autoGainControl: true,
+          sampleRate: 44100,
+          channelCount: 2
+        },
+        video: false
+      });
+
+      audioStreamRef.current = microphoneStream;
+      streamRef.current = microphoneStream;
+      addLog('✅ Microphone captured');
+
+      return { success: true, stream: microphoneStream, hasAudio: true };
+    } catch (error: unknown) {
+      if (error instanceof Error) {
+        addLog(`Microphone error: ${error.message}`);
+        return { success: false, error: error.message };
+      }
+    }
+  };
+
   /**
    * Start audio recording synchronized with video
    */
@@ -357,6 +485,19 @@ const MeetingUIRecorder: React.FC<Props> = ({
 
       const mediaRecorder = new MediaRecorder(audioStream, options);
       mediaRecorderRef.current = mediaRecorder;
+      // Lets the server line the audio up with the frame timestamps
+      let recorderStartedAt = Date.now();
+
+      try {
+        const audioContext = new AudioContext();
+        const analyser = audioContext.createAnalyser();
+        analyser.fftSize = 1024;
+        audioContext.createMediaStreamSource(audioStream).connect(analyser);
+        audioContextRef.current = audioContext;
+        analyserRef.current = analyser;
+      } catch (e) {
+        addLog('ℹ️ Voice activity detection unavailable');
+      }
       audioChunksRef.current = [];
 
       mediaRecorder.ondataavailable = (event) => {
@@ -372,7 +513,9 @@ const MeetingUIRecorder: React.FC<Props> = ({
                 recordingId: recId,
                 audioData: base64Data,
                 timestamp: Date.now(),
-                index: audioIndexRef.current++
+                index: audioIndexRef.current++,
+                participantId: userId,
+                startedAt: recorderStartedAt
               }, (response: IResponseObject) => {
                 if (response?.success) {
                   setStats(prev => ({
@@ -395,6 +538,7 @@ const MeetingUIRecorder: React.FC<Props> = ({
         addLog('🎤 Audio recording stopped');
       };
 
+      recorderStartedAt = Date.now();
       mediaRecorder.start(1000); // 1 second chunks for better sync
       addLog('🎤 Audio recording started (synced with video)');
       return mediaRecorder;
@@ -445,7 +589,9 @@ const startFrameCapture = (
                   metadata: {
                     width: canvas.width,
                     height: canvas.height,
-                    frameNumber: frameNumberRef.current
+                    frameNumber: frameNumberRef.current,
+                    participantId: userId,
+                    speaking: isSpeaking()
                   }
                 };
 
@@ -586,6 +732,71 @@ const startFrameCapture = (
     }
   }, [recordingId, roomId, addLog]);
 
+  /**
+   * Fresh counters and flags for a recording that just started
+   */
+  const resetCaptureState = (recId: string) => {
+    setRecordingId(recId);
+    recordingIdRef.current = recId;
+    addLog(`✅ Recording ID: ${recId}`);
+
+    isRecordingRef.current = true;
+    isPausedRef.current = false;
+    setIsRecording(true);
+    setIsPaused(false);
+    setDownloadUrl(null);
+    setMarkers([]);
+    setRecordingTime(0);
+    setStats({
+      framesSent: 0,
+      droppedFrames: 0,
+      lastFrameSize: 0,
+      averageFPS: 0,
+      audioChunksSent: 0
+    });
+    setQueueSize(0); // Reset queue size
+    frameQueueRef.current = [];
+    frameNumberRef.current = 0;
+    lastFrameSentRef.current = 0;
+    audioIndexRef.current = 0;
+  };
+
+  /**
+   * Audio recording: microphone chunks only, no canvas or frames
+   */
+  const startAudioOnlyRecording = async () => {
+    const captureResult = await requestMicrophoneCapture();
+    if (!captureResult?.success || !captureResult.stream) {
+      throw new Error(captureResult?.error || 'Microphone unavailable');
+    }
+
+    const { stream } = captureResult;
+
+    socketRef.current?.emit('start-ui-recording', {
+      roomId,
+      userId,
+      options: {
+        type: 'audio',
+        withAudio: true,
+        pauseMode,
+        profile,
+        audioProcessing,
+        detectIdle,
+        title: title.trim() || undefined
+      }
+    }, (response: IResponseObject) => {
+      if (response.success && response.recordingId) {
+        resetCaptureState(response.recordingId);
+        if (!startAudioRecording(stream, response.recordingId)) {
+          addLog('⚠️ Failed to start audio recording');
+        }
+      } else {
+        addLog(`❌ Failed to start: ${response.error}`);
+        stopStreams();
+      }
+    });
+  };
+
   const startRecording = async () => {
     if (!isConnected) {
       addLog('❌ Not connected to server');
@@ -594,6 +805,11 @@ const startFrameCapture = (
 
     try {
       addLog('Starting recording...');
+
+      if (audioOnly) {
+        await startAudioOnlyRecording();
+        return;
+      }
       
       const captureResult = await requestScreenCapture();
       if (!captureResult.success) {
@@ -624,6 +840,69 @@ const startFrameCapture = (
       video.playsInline = true;
       video.autoplay = true;
       
+      const beginCapture = async (recId: string) => {
+        resetCaptureState(recId);
+
+        // Start audio recording FIRST (before video play)
+        if (hasAudio && stream) {
+          const audioRecorder = startAudioRecording(stream, recId);
+          if (!audioRecorder) {
+            addLog('⚠️ Failed to start audio recording');
+          }
+        } else {
+          addLog('ℹ️ No audio track available in stream');
+        }
+
+        // Try to play video
+        try {
+          await video.play();
+          addLog('✅ Video playing');
+          addLog(`Video state: readyState=${video.readyState}, paused=${video.paused}`);
+          
+          // Start frame capture
+          startFrameCapture(video, canvas, ctx);
+          
+        } catch (playError: unknown) {
+          // Even if play() fails, start capture anyway - video might auto-play
+          if (playError instanceof Error) {
+            addLog(`⚠️ Video play() failed: ${playError.message}`);
+          } else {
+            addLog(`⚠️ Video play() failed: unknown error`);
+          }
+          addLog(`Starting capture anyway - video may auto-play`);
+          
+          // Start audio recording
+          if (hasAudio && stream) {
+            startAudioRecording(stream, recId);
+          }
+          
+          // Start frame capture regardless - it will capture when video is ready
+          startFrameCapture(video, canvas, ctx);
+          
+          // Also set up a retry mechanism
+          let retries = 0;
+          const retryPlay = setInterval(async () => {
+            if (video.paused && retries < 5) {
+              try {
+                await video.play();
+                addLog('✅ Video playing after retry');
+                clearInterval(retryPlay);
+              } catch (e) {
+                retries++;
+              }
+            } else {
+              clearInterval(retryPlay);
+            }
+          }, 500);
+        }
+      };
+
+      if (joinRecordingId) {
+        addLog(`👥 Joining composite recording ${joinRecordingId}`);
+        await beginCapture(joinRecordingId);
+        return;
+      }
+
       // Request recording from server
       socketRef.current?.emit('start-ui-recording', {
         roomId,
@@ -632,88 +911,17 @@ const startFrameCapture = (
           fps: TARGET_FPS,
           width: canvas.width,
           height: canvas.height,
-          quality: 23,
-          withAudio: hasAudio
+          withAudio: hasAudio,
+          layout,
+          pauseMode,
+          profile,
+          audioProcessing,
+          detectIdle,
+          title: title.trim() || undefined
         }
       }, async (response:IResponseObject) => {
         if (response.success && response.recordingId) {
-          const recId = response.recordingId;
-          setRecordingId(recId);
-          recordingIdRef.current = recId;
-          addLog(`✅ Recording ID: ${recId}`);
-
-          // Reset state first
-          isRecordingRef.current = true;
-          isPausedRef.current = false;
-          setIsRecording(true);
-          setIsPaused(false);
-          setDownloadUrl(null);
-          setRecordingTime(0);
-          setStats({
-            framesSent: 0,
-            droppedFrames: 0,
-            lastFrameSize: 0,
-            averageFPS: 0,
-            audioChunksSent: 0
-          });
-          setQueueSize(0); // Reset queue size
-          frameQueueRef.current = [];
-          frameNumberRef.current = 0;
-          lastFrameSentRef.current = 0;
-          audioIndexRef.current = 0;
-
-          // Start audio recording FIRST (before video play)
-          if (hasAudio && stream) {
-            const audioRecorder = startAudioRecording(stream, recId);
-            if (!audioRecorder) {
-              addLog('⚠️ Failed to start audio recording');
-            }
-          } else {
-            addLog('ℹ️ No audio track available in stream');
-          }
-
-          // Try to play video
-          try {
-            await video.play();
-            addLog('✅ Video playing');
-            addLog(`Video state: readyState=${video.readyState}, paused=${video.paused}`);
-            
-            // Start frame capture
-            startFrameCapture(video, canvas, ctx);
-            
-          } catch (playError: unknown) {
-            // Even if play() fails, start capture anyway - video might auto-play
-            if (playError instanceof Error) {
-              addLog(`⚠️ Video play() failed: ${playError.message}`);
-            } else {
-              addLog(`⚠️ Video play() failed: unknown error`);
-            }
-            addLog(`Starting capture anyway - video may auto-play`);
-            
-            // Start audio recording
-            if (hasAudio && stream) {
-              startAudioRecording(stream, recId);
-            }
-            
-            // Start frame capture regardless - it will capture when video is ready
-            startFrameCapture(video, canvas, ctx);
-            
-            // Also set up a retry mechanism
-            let retries = 0;
-            const retryPlay = setInterval(async () => {
-              if (video.paused && retries < 5) {
-                try {
-                  await video.play();
-                  addLog('✅ Video playing after retry');
-                  clearInterval(retryPlay);
-                } catch (e) {
-                  retries++;
-                }
-              } else {
-                clearInterval(retryPlay);
-              }
-            }, 500);
-          }
+          await beginCapture(response.recordingId);
         } else {
           addLog(`❌ Failed to start: ${response.error}`);
           stopStreams();
@@ -797,6 +1005,13 @@ const startFrameCapture = (
       setProcessingTimeout(null);
     }
     
+    // Release voice activity detection
+    if (audioContextRef.current) {
+      audioContextRef.current.close().catch(() => {});
+      audioContextRef.current = null;
+      analyserRef.current = null;
+    }
+
     // Clear all queues and counters
     frameQueueRef.current = [];
     audioChunksRef.current = [];
@@ -813,7 +1028,8 @@ const startFrameCapture = (
   const pauseRecording = () => {
     if (isRecording && !isPaused && recordingId) {
       socketRef.current?.emit('pause-recording', { 
-        roomId 
+        roomId,
+        recordingId
       }, (response: IResponseObject) => {
         if (response?.success) {
           isPausedRef.current = true;
@@ -834,7 +1050,8 @@ const startFrameCapture = (
   const resumeRecording = () => {
     if (isRecording && isPaused && recordingId) {
       socketRef.current?.emit('resume-recording', { 
-        roomId 
+        roomId,
+        recordingId
       }, (response: IResponseObject) => {
         if (response?.success) {
           isPausedRef.current = false;
@@ -855,12 +1072,34 @@ const startFrameCapture = (
     }
   };
 
+  const addMarker = () => {
+    if (!isRecording || !recordingId) return;
+
+    const label = markerLabel.trim() || `Marker ${markers.length + 1}`;
+    socketRef.current?.emit('add-recording-marker', {
+      roomId,
+      recordingId,
+      userId,
+      label,
+      timestamp: Date.now()
+    }, (response: { success: boolean; marker?: RecordingMarker; error?: string }) => {
+      if (response?.success && response.marker) {
+        setMarkerLabel('');
+      } else {
+        addLog(`❌ Failed to add marker: ${response?.error}`);
+      }
+    });
+  };
+
   const stopRecording = async () => {
     if (!isRecording || !(recordingIdRef.current || recordingId)) return;
   
+  const stoppingRecordingId = recordingIdRef.current || recordingId;
+  processingRecordingIdRef.current = stoppingRecordingId;
   addLog('🛑 Stopping recording...');
   setIsProcessingVideo(true);
   setDownloadError(false);
+  setProcessingProgress(null);
   
   // Set timeout to stop processing indicator after 2 minutes
   const timeout = setTimeout(() => {
@@ -924,10 +1163,23 @@ const startFrameCapture = (
     
     // Additional safety delay
     await new Promise(resolve => setTimeout(resolve, 2000));
+
+    // A joined participant only leaves; the composite recording's owner stops it
+    if (joinRecordingId) {
+      clearTimeout(timeout);
+      setProcessingTimeout(null);
+      setIsProcessingVideo(false);
+      processingRecordingIdRef.current = null;
+      setRecordingId(null);
+      addLog('👋 Left composite recording');
+      stopStreams();
+      return;
+    }
     
     // Send stop command
     socketRef.current?.emit('stop-recording', { 
       roomId,
+      recordingId: stoppingRecordingId,
       withAudio: true
     }, (response: IResponseObject) => {
       // Clear timeout
@@ -951,6 +1203,11 @@ const startFrameCapture = (
           setDownloadUrl(fileUrl);
           setDownloadError(false);
           setProcessingFailed(false);
+        } else if (response.jobId) {
+          // Encoding runs in the background; 'recording-stopped' (or polling) delivers the file
+          addLog(`⏳ Processing queued (job ${response.jobId})...`);
+          setIsProcessingVideo(true);
+          startStatusPolling();
         } else {
           addLog('⚠️ No fileUrl in response, polling...');
           startStatusPolling();
@@ -973,9 +1230,15 @@ const startFrameCapture = (
   const startStatusPolling = () => {
     if (statusPollRef.current) return;
     addLog('🔎 Polling recording status for fileUrl...');
+    const pollRecordingId = processingRecordingIdRef.current;
+    const statusUrl = pollRecordingId
+      ? `${serverUrl}/api/v1/rooms/${encodeURIComponent(roomId)}/recordings/${encodeURIComponent(pollRecordingId)}`
+      : `${serverUrl}/api/v1/rooms/${encodeURIComponent(roomId)}/recording/status`;
     const poll = async () => {
       try {
-        const res = await fetch(`${serverUrl}/api/v1/rooms/${encodeURIComponent(roomId)}/recording/status`);
+        const res = await fetch(statusUrl, {
+          headers: authToken ? { Authorization: `Bearer ${authToken}` } : undefined
+        });
         if (res.ok) {
           const status = await res.json();
           if (status && status.fileUrl) {
@@ -1001,7 +1264,10 @@ const startFrameCapture = (
 
   const downloadRecording = () => {
     if (downloadUrl) {
-      const fullUrl = `${serverUrl}${downloadUrl}`;
+      // window.open cannot send headers, so the token rides along as a query parameter
+      const fullUrl = authToken
+        ? `${serverUrl}${downloadUrl}${downloadUrl.includes('?') ? '&' : '?'}token=${encodeURIComponent(authToken)}`
+        : `${serverUrl}${downloadUrl}`;
       addLog(`Downloading: ${fullUrl}`);
       
       // Try to download
@@ -1111,6 +1377,20 @@ const startFrameCapture = (
                     <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-white"></div>
                     <span className="text-lg font-semibold">🎬 Processing video... Please wait</span>
                   </div>
+                  {processingProgress && (
+                    <div className="mt-3">
+                      <div className="w-full bg-blue-950 rounded-full h-3 overflow-hidden">
+                        <div
+                          className="bg-white h-3 transition-all"
+                          style={{ width: `${processingProgress.percent}%` }}
+                        ></div>
+                      </div>
+                      <div className="mt-1 text-sm text-blue-200">
+                        {processingProgress.percent}% · {processingProgress.stage}
+                        {processingProgress.eta !== null && ` · ~${formatTime(processingProgress.eta)} left`}
+                      </div>
+                    </div>
+                  )}
                 </div>
               )}
               
@@ -1130,13 +1410,25 @@ const startFrameCapture = (
               
               <div className="flex flex-wrap justify-center gap-4">
                 {!isRecording ? (
-                  <button
-                    onClick={startRecording}
-                    disabled={!isConnected || isProcessingVideo}
-                    className="px-6 py-3 bg-green-600 hover:bg-green-700 disabled:bg-gray-700 rounded-lg font-bold transition-colors"
-                  >
-                    🎬 Start Recording
-                  </button>
+                  <div className="flex gap-2">
+                    {!joinRecordingId && (
+                      <input
+                        type="text"
+                        value={title}
+                        onChange={(e) => setTitle(e.target.value)}
+                        placeholder="Recording title"
+                        maxLength={200}
+                        className="px-3 py-3 bg-gray-700 rounded-lg text-white"
+                      />
+                    )}
+                    <button
+                      onClick={startRecording}
+                      disabled={!isConnected || isProcessingVideo}
+                      className="px-6 py-3 bg-green-600 hover:bg-green-700 disabled:bg-gray-700 rounded-lg font-bold transition-colors"
+                    >
+                      🎬 Start Recording
+                    </button>
+                  </div>
                 ) : (
                   <>
                     {!isPaused ? (
@@ -1157,6 +1449,25 @@ const startFrameCapture = (
                       </button>
                     )}
                     
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        value={markerLabel}
+                        onChange={(e) => setMarkerLabel(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && addMarker()}
+                        placeholder="Marker label"
+                        maxLength={200}
+                        className="px-3 py-3 bg-gray-700 rounded-lg text-white"
+                      />
+                      <button
+                        onClick={addMarker}
+                        disabled={isProcessingVideo}
+                        className="px-6 py-3 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-700 rounded-lg font-bold transition-colors"
+                      >
+                        📍 Mark ({markers.length})
+                      </button>
+                    </div>
+
                     <button
                       onClick={stopRecording}
                       disabled={isProcessingVideo || processingFailed}
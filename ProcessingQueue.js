@@ -1,6 +1,16 @@
 // ProcessingQueue.js
-class ProcessingQueue {
+// Background job queue: per-job ids, progress, retries, priorities and persisted state.
+// Jobs are { type, payload } records run by handlers registered per type, so queued
+// work can be written to disk and resumed after a restart. Plain functions passed to
+// add() still work but are not persisted.
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+class ProcessingQueue extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.queue = [];
     this.isProcessing = false;
     this.processingDelay = options.processingDelay || 10; // Reduced from 100
@@ -8,11 +18,59 @@ class ProcessingQueue {
     this.activeJobs = 0;
     this.onJobComplete = options.onJobComplete || null;
     this.onError = options.onError || null;
+
+    this.jobs = new Map();
+    this.handlers = new Map();
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 2;
+    this.retryDelay = options.retryDelay || 5000;
+    this.maxFinishedJobs = options.maxFinishedJobs || 500;
+    this.statePath = options.statePath || null;
+    this.writeChain = Promise.resolve();
+  }
+
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+    return this;
   }
 
+  // Legacy entry point: run a plain async function
   add(job, priority = 0) {
-    const jobEntry = { job, priority, addedAt: Date.now() };
-    this.queue.push(jobEntry);
+    return this.enqueue(null, null, { priority, run: job });
+  }
+
+  enqueue(type, payload = {}, options = {}) {
+    const job = {
+      id: uuidv4(),
+      type,
+      payload,
+      priority: options.priority || 0,
+      status: 'queued',
+      progress: 0,
+      progressDetails: null,
+      attempts: 0,
+      maxRetries: options.maxRetries !== undefined ? options.maxRetries : this.maxRetries,
+      error: null,
+      result: null,
+      createdAt: new Date(),
+      startedAt: null,
+      completedAt: null,
+      updatedAt: new Date()
+    };
+
+    if (options.run) {
+      Object.defineProperty(job, 'run', { value: options.run, enumerable: false });
+    }
+
+    this.jobs.set(job.id, job);
+    this.schedule(job);
+    this.persist();
+    this.emit('queued', job);
+    return job;
+  }
+
+  schedule(job) {
+    this.queue.push(job);
+    // Array#sort is stable, so equal priorities stay FIFO
     this.queue.sort((a, b) => b.priority - a.priority);
     this.process();
   }
@@ -27,10 +85,10 @@ class ProcessingQueue {
     this.isProcessing = true;
 
     while (this.queue.length > 0 && this.activeJobs < this.maxConcurrent) {
-      const jobEntry = this.queue.shift();
+      const job = this.queue.shift();
       this.activeJobs++;
 
-      this.executeJob(jobEntry.job).finally(() => {
+      this.executeJob(job).finally(() => {
         this.activeJobs--;
         this.process();
       });
@@ -44,31 +102,155 @@ class ProcessingQueue {
   }
 
   async executeJob(job) {
+    const handler = job.run || this.handlers.get(job.type);
+
+    job.status = 'running';
+    job.attempts++;
+    job.startedAt = new Date();
+    job.updatedAt = new Date();
+    job.error = null;
+    this.persist();
+    this.emit('started', job);
+
     try {
-      await job();
+      if (!handler) {
+        throw new Error(`No handler registered for job type: ${job.type}`);
+      }
+
+      const context = {
+        job,
+        reportProgress: (percent, details) => this.updateProgress(job, percent, details)
+      };
+      const result = job.run ? await job.run(context) : await handler(job.payload, context);
+
+      job.status = 'completed';
+      job.progress = 100;
+      job.result = result === undefined ? null : result;
+      job.completedAt = new Date();
+      job.updatedAt = new Date();
+      this.persist();
+      this.emit('completed', job);
+
       if (this.onJobComplete) {
-        this.onJobComplete();
+        this.onJobComplete(job);
       }
     } catch (error) {
       console.error('Queue job error:', error);
-      if (this.onError) {
-        this.onError(error);
+      job.error = error.message;
+      job.updatedAt = new Date();
+
+      if (job.attempts <= job.maxRetries) {
+        job.status = 'retrying';
+        this.persist();
+        this.emit('retry', job);
+        setTimeout(() => {
+          job.status = 'queued';
+          this.schedule(job);
+        }, this.retryDelay * job.attempts);
+      } else {
+        job.status = 'failed';
+        job.completedAt = new Date();
+        this.persist();
+        this.emit('failed', job);
+
+        if (this.onError) {
+          this.onError(error, job);
+        }
       }
+    } finally {
+      this.pruneFinishedJobs();
     }
   }
 
+  updateProgress(job, percent, details = null) {
+    job.progress = Math.max(0, Math.min(100, Math.round(percent)));
+    job.progressDetails = details;
+    job.updatedAt = new Date();
+    this.emit('progress', job);
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  listJobs(filter = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !filter.status || job.status === filter.status)
+      .filter(job => !filter.type || job.type === filter.type);
+  }
+
+  pruneFinishedJobs() {
+    const finished = Array.from(this.jobs.values())
+      .filter(job => job.status === 'completed' || job.status === 'failed');
+
+    for (const job of finished.slice(0, Math.max(0, finished.length - this.maxFinishedJobs))) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  // Read persisted jobs; anything queued or mid-run when the process died is queued again
+  load() {
+    if (!this.statePath || !fs.existsSync(this.statePath)) {
+      return this;
+    }
+
+    try {
+      const data = fs.readJsonSync(this.statePath);
+      for (const job of data.jobs || []) {
+        if (['queued', 'running', 'retrying'].includes(job.status)) {
+          job.status = 'queued';
+          job.progress = 0;
+        }
+        this.jobs.set(job.id, job);
+      }
+    } catch (error) {
+      console.error('Could not read queue state:', error.message);
+    }
+
+    return this;
+  }
+
+  // Start loaded jobs; call once every handler is registered
+  resume() {
+    for (const job of this.jobs.values()) {
+      if (job.status === 'queued' && !this.queue.includes(job)) {
+        this.schedule(job);
+      }
+    }
+  }
+
+  persist() {
+    if (!this.statePath) {
+      return this.writeChain;
+    }
+
+    this.writeChain = this.writeChain
+      .then(async () => {
+        const tmpPath = `${this.statePath}.tmp`;
+        const jobs = Array.from(this.jobs.values()).filter(job => job.type);
+        await fs.ensureDir(path.dirname(this.statePath));
+        await fs.writeJson(tmpPath, { version: 1, jobs }, { spaces: 2 });
+        await fs.move(tmpPath, this.statePath, { overwrite: true });
+      })
+      .catch(error => {
+        console.error('Could not persist queue state:', error.message);
+      });
+
+    return this.writeChain;
+  }
+
   // CRITICAL: Wait for all jobs to complete
   async waitForCompletion() {
     console.log('⏳ Waiting for queue completion...');
     let attempts = 0;
     const maxAttempts = 30; // 30 seconds max
-    
+
     while ((this.queue.length > 0 || this.activeJobs > 0) && attempts < maxAttempts) {
       await new Promise(resolve => setTimeout(resolve, 1000));
       attempts++;
       console.log(`⏳ Queue: ${this.queue.length} pending, ${this.activeJobs} active (${attempts}/${maxAttempts})`);
     }
-    
+
     console.log('✅ Queue completion wait finished');
   }
 
@@ -81,10 +263,11 @@ class ProcessingQueue {
       queueLength: this.queue.length,
       isProcessing: this.isProcessing,
       activeJobs: this.activeJobs,
-      maxConcurrent: this.maxConcurrent
+      maxConcurrent: this.maxConcurrent,
+      totalJobs: this.jobs.size
     };
   }
 }
 
 
-module.exports = ProcessingQueue;
\ No newline at end of file
+module.exports = ProcessingQueue;
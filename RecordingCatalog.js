@@ -0,0 +1,132 @@
+// RecordingCatalog.js - persistent index of every recording (catalog.json)
+// Survives restarts and room eviction; RecordingManager writes on state changes
+const fs = require('fs-extra');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('RecordingCatalog');
+
+const PERSISTED_FIELDS = [
+  'id', 'roomId', 'userId', 'type', 'filename', 'status',
+  'startedAt', 'pausedAt', 'resumedAt', 'stoppedAt', 'completedAt',
+  'fileUrl', 'hlsUrl', 'thumbnailUrl', 'chaptersUrl', 'markersUrl',
+  'transcriptUrl', 'transcriptVttUrl', 'transcriptSrtUrl', 'error', 'options', 'stats', 'recovered', 'jobId',
+  'participants', 'pauses', 'markers', 'transcript', 'metadata', 'clip'
+];
+const DATE_FIELDS = ['startedAt', 'pausedAt', 'resumedAt', 'stoppedAt', 'completedAt'];
+
+class RecordingCatalog {
+  constructor(storagePath) {
+    this.filePath = path.join(path.resolve(storagePath), 'catalog.json');
+    this.entries = new Map();
+    this.writeChain = Promise.resolve();
+  }
+
+  load() {
+    this.entries.clear();
+
+    if (!fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    try {
+      const data = fs.readJsonSync(this.filePath);
+      for (const entry of data.recordings || []) {
+        this.entries.set(entry.id, entry);
+      }
+      logger(`📚 Catalog loaded: ${this.entries.size} recordings`);
+    } catch (error) {
+      logger(`❌ Could not read catalog ${this.filePath}:`, error.message);
+    }
+
+    return this;
+  }
+
+  toEntry(recording) {
+    const entry = {};
+    for (const field of PERSISTED_FIELDS) {
+      entry[field] = recording[field] === undefined ? null : recording[field];
+    }
+    entry.updatedAt = new Date();
+    return JSON.parse(JSON.stringify(entry));
+  }
+
+  // Entry -> plain recording fields with Date objects restored
+  fromEntry(entry) {
+    const recording = { ...entry, options: { ...entry.options }, stats: { ...entry.stats } };
+    for (const field of DATE_FIELDS) {
+      recording[field] = entry[field] ? new Date(entry[field]) : null;
+    }
+    return recording;
+  }
+
+  save(recording) {
+    this.entries.set(recording.id, this.toEntry(recording));
+    return this.flush();
+  }
+
+  remove(recordingId) {
+    if (!this.entries.delete(recordingId)) {
+      return Promise.resolve();
+    }
+    return this.flush();
+  }
+
+  get(recordingId) {
+    const entry = this.entries.get(recordingId);
+    return entry ? this.fromEntry(entry) : null;
+  }
+
+  getRoomRecordings(roomId) {
+    return Array.from(this.entries.values())
+      .filter(entry => entry.roomId === roomId)
+      .map(entry => this.fromEntry(entry))
+      .sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  getRoomIds() {
+    return Array.from(new Set(Array.from(this.entries.values()).map(entry => entry.roomId)));
+  }
+
+  // Every recording across all rooms, including rooms no longer held in memory
+  getAll() {
+    return Array.from(this.entries.values()).map(entry => this.fromEntry(entry));
+  }
+
+  // Per-room totals and the latest recording, newest room first
+  getRooms() {
+    const rooms = new Map();
+    for (const recording of this.getAll()) {
+      const room = rooms.get(recording.roomId) || { roomId: recording.roomId, recordings: 0, latest: null };
+      room.recordings += 1;
+      if (!room.latest || recording.startedAt > room.latest.startedAt) {
+        room.latest = recording;
+      }
+      rooms.set(recording.roomId, room);
+    }
+    return Array.from(rooms.values()).sort((a, b) => b.latest.startedAt - a.latest.startedAt);
+  }
+
+  // Writes are serialized and atomic (tmp file + rename) so a crash never leaves half a catalog
+  flush() {
+    this.writeChain = this.writeChain
+      .then(async () => {
+        const tmpPath = `${this.filePath}.tmp`;
+        const data = {
+          version: 1,
+          updatedAt: new Date().toISOString(),
+          recordings: Array.from(this.entries.values())
+        };
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.writeJson(tmpPath, data, { spaces: 2 });
+        await fs.move(tmpPath, this.filePath, { overwrite: true });
+      })
+      .catch(error => {
+        logger(`❌ Could not write catalog:`, error.message);
+      });
+
+    return this.writeChain;
+  }
+}
+
+module.exports = RecordingCatalog;
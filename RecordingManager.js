@@ -4,75 +4,337 @@ const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const ffmpeg = require('fluent-ffmpeg');
-const { spawn } = require('child_process');
 
+const { createLogger } = require('./logger');
+const { spawnFFmpeg, spawnFFprobe, selectEncoders } = require('./ffmpegRuntime');
+const LocalStorageAdapter = require('./LocalStorageAdapter');
+const { LAYOUTS, speakerTimeline, layoutCells, buildCompositeFilter } = require('./compositeLayout');
+const { SUBTITLE_MODES, toSrt, toVtt } = require('./Transcriber');
+const {
+  BUILTIN_PROFILES,
+  createEncodingProfiles,
+  containerOf,
+  resolveQuality,
+  outputFps,
+  videoCodecArgs,
+  videoFilters,
+  audioCodecArgs
+} = require('./encodingProfiles');
+const {
+  AUDIO_PROCESSING_DEFAULTS,
+  resolveAudioProcessing,
+  isAudioProcessingEnabled,
+  denoiseFilters,
+  loudnormFilter,
+  silenceDetectFilter,
+  parseLoudnorm,
+  silenceBounds
+} = require('./audioProcessing');
+const {
+  IDLE_DEFAULTS,
+  stillFrameRuns,
+  freezeDetectFilter,
+  longSilenceFilter,
+  detectedIntervals,
+  idleIntervals,
+  condensedRanges,
+  resolveCondenseOptions
+} = require('./idleDetection');
+const { PAUSE_MODES, pausedBetween, pausesStartingBetween, toTimeline, audioPauseFilter, describePauses } = require('./pauseTimeline');
+
+const logger = createLogger('RecordingManager');
+
+// Share of the overall finalize progress taken by each stage
+const PROCESSING_STAGES = {
+  video: { start: 0, weight: 50 },
+  audio: { start: 50, weight: 5 },
+  // Optional loudness/noise/silence clean-up (options.audioProcessing)
+  audioProcessing: { start: 55, weight: 5 },
+  mux: { start: 60, weight: 5 },
+  // Still-screen/silence detection (options.detectIdle)
+  idle: { start: 65, weight: 3 },
+  transcript: { start: 68, weight: 12 },
+  hls: { start: 80, weight: 15 },
+  thumbnail: { start: 95, weight: 5 },
+  // Clip exports: the cut itself, then the thumbnail stage above
+  clip: { start: 0, weight: 95 }
+};
+
+// HLS ladder; renditions taller than the source are skipped
+const HLS_RENDITIONS = [
+  { name: '720p', height: 720, videoBitrate: '2800k', maxrate: '2996k', bufsize: '4200k', audioBitrate: '128k' },
+  { name: '480p', height: 480, videoBitrate: '1400k', maxrate: '1498k', bufsize: '2100k', audioBitrate: '96k' },
+  { name: '360p', height: 360, videoBitrate: '800k', maxrate: '856k', bufsize: '1200k', audioBitrate: '64k' }
+];
+const HLS_SEGMENT_SECONDS = 6;
+// Capture states: frames/audio are accepted and pause/resume/stop apply
+const ACTIVE_STATUSES = ['recording', 'paused'];
+const PARTICIPANT_ID_PATTERN = /^[\w-]{1,64}$/;
+// options.type -> recording.type: screen capture with audio (default), or audio chunks only
+const RECORDING_TYPES = { screen: 'ui-screen', audio: 'audio' };
+// Waveform drawn as the thumbnail of recordings without video
+const WAVEFORM_SIZE = '640x360';
+const WAVEFORM_COLOR = '0x4f8cff';
+// Audio chunks can trail a pause by up to one MediaRecorder timeslice
+const PAUSE_FLUSH_GRACE_MS = 1500;
+// MediaRecorder timeslice the client uses; fallback when chunk spacing can't be measured
+const DEFAULT_AUDIO_CHUNK_MS = 1000;
+// Drift above this is logged as a warning
+const AUDIO_DRIFT_WARN_MS = 250;
+const MAX_MARKER_LABEL_LENGTH = 200;
+const MAX_CLIP_RANGES = 20;
+// A range starting this close to a keyframe is cut losslessly (stream copy)
+const KEYFRAME_TOLERANCE_SEC = 0.05;
+// User-editable metadata (title, description, tags, custom key/value pairs)
+const METADATA_LIMITS = { title: 200, description: 5000, tag: 50, tags: 50, key: 64, value: 1000, custom: 50 };
+const METADATA_KEY_PATTERN = /^[\w.-]+$/;
+const PROGRESS_EMIT_INTERVAL_MS = 500;
+
+// Seconds -> "HH:MM:SS.mmm" (WebVTT)
+const formatVttTime = (seconds) => {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, size = 2) => String(value).padStart(size, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+};
+
+// FFMETADATA values need '=', ';', '#', backslash and newline escaped
+const escapeMetadata = (value) => String(value).replace(/([=;#\\\n])/g, '\\$1');
+
+// Clip ranges [{ start, end }] in seconds -> validated, sorted, non-overlapping
+function normalizeClipRanges(ranges) {
+  if (!Array.isArray(ranges) || ranges.length === 0 || ranges.length > MAX_CLIP_RANGES) {
+    throw new Error(`ranges must be a list of 1-${MAX_CLIP_RANGES} { start, end } objects`);
+  }
+
+  const normalized = ranges
+    .map(range => ({ start: Number(range && range.start), end: Number(range && range.end) }))
+    .sort((a, b) => a.start - b.start);
+
+  normalized.forEach((range, i) => {
+    if (!Number.isFinite(range.start) || !Number.isFinite(range.end) || range.start < 0 || range.end <= range.start) {
+      throw new Error('Each range needs 0 <= start < end (seconds)');
+    }
+    if (i > 0 && range.start < normalized[i - 1].end) {
+      throw new Error('Ranges must not overlap');
+    }
+  });
 
-function getYearWeek(date = new Date()) {
-  const today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-  const lastDayOfYear = new Date(`${date.getFullYear()}-12-31`)
-  const diffInDay = (lastDayOfYear - today) / (1000 * 60 * 60 * 24)
-  const totalDayPast = Math.ceil(365 - diffInDay)
-  const week = Math.floor(totalDayPast / 7)
-  return `${date.getFullYear()}-W${String(week).padStart(2, "0")}`
+  return normalized.map(range => ({
+    start: Math.round(range.start * 1000) / 1000,
+    end: Math.round(range.end * 1000) / 1000
+  }));
 }
 
-// usage
-const weekly = getYearWeek();
+const rangesDuration = (ranges) => ranges.reduce((total, range) => total + range.end - range.start, 0);
 
-const createLogDirAndLog = (msg)=>{
+const emptyMetadata = () => ({ title: null, description: null, tags: [], custom: {} });
 
-	try{
-	// const montly = (new Date()).toISOString().slice(0, 7);
-	 const logDir = path.join(__dirname, 'logs')
-	 if (!fs.existsSync(logDir)){
-        fs.mkdir(logDir, (err, data)=>{
-        	if (err) {
-        	  console.log(err)
-        	}
-        	console.log(data)
-        });
-	 }
-	
-	 const log = `${(new Date()).toISOString()}----${msg}\n`
-	 fs.writeFileSync(logDir+'/'+weekly+'.log', log, {flag: 'a'})
-	}catch(e){
-	  console.log(e)
-	}
-}
+// Whether the queue runs a failed job again (attempts already counts the run that just failed)
+const willRetry = (context) => !!context.job && context.job.attempts <= context.job.maxRetries;
 
+// Validate a metadata change and merge it into `current`: given fields replace, a null
+// custom value removes that key, and anything left out stays as it was
+function mergeMetadata(current, changes = {}) {
+  const metadata = { ...emptyMetadata(), ...current, custom: { ...(current && current.custom) } };
 
+  for (const field of ['title', 'description']) {
+    if (changes[field] === undefined) continue;
+    const text = changes[field] === null ? '' : String(changes[field]).trim();
+    if (text.length > METADATA_LIMITS[field]) {
+      throw new Error(`${field} is too long (max ${METADATA_LIMITS[field]} characters)`);
+    }
+    metadata[field] = text || null;
+  }
 
-const DEBUG = true; // Set to false to disable all logging
-const mode = 'file' // 'console' or 'file'
-const logger = (...args) => {
-  if (!DEBUG) return;
-  if (mode === 'file') {
-    createLogDirAndLog(args.join(' '))
-  }else {
-   console.log(`[RecordingManager]`, ...args);
+  if (changes.tags !== undefined) {
+    const tags = Array.isArray(changes.tags) ? changes.tags : String(changes.tags || '').split(',');
+    metadata.tags = Array.from(new Set(tags.map(tag => String(tag).replace(/\s+/g, ' ').trim()).filter(Boolean)));
+    if (metadata.tags.length > METADATA_LIMITS.tags || metadata.tags.some(tag => tag.length > METADATA_LIMITS.tag)) {
+      throw new Error(`At most ${METADATA_LIMITS.tags} tags of up to ${METADATA_LIMITS.tag} characters`);
+    }
   }
-   
+
+  if (changes.custom !== undefined) {
+    if (!changes.custom || typeof changes.custom !== 'object' || Array.isArray(changes.custom)) {
+      throw new Error('custom must be an object of key/value pairs');
+    }
+    for (const [key, value] of Object.entries(changes.custom)) {
+      if (!METADATA_KEY_PATTERN.test(key) || key.length > METADATA_LIMITS.key) {
+        throw new Error(`Invalid metadata key: ${key}`);
+      }
+      if (value === null) {
+        delete metadata.custom[key];
+      } else if (!['string', 'number', 'boolean'].includes(typeof value) || String(value).length > METADATA_LIMITS.value) {
+        throw new Error(`Metadata value for ${key} must be a string, number or boolean (max ${METADATA_LIMITS.value} characters)`);
+      } else {
+        metadata.custom[key] = value;
+      }
+    }
+    if (Object.keys(metadata.custom).length > METADATA_LIMITS.custom) {
+      throw new Error(`At most ${METADATA_LIMITS.custom} custom metadata keys`);
+    }
+  }
+
+  return metadata;
 }
 
+const parseTimestamp = (value) => {
+  const [hours, minutes, seconds] = value.split(':');
+  return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseFloat(seconds);
+};
+
+// Parse an FFmpeg stats line: "frame=  120 fps= 30 q=28.0 size= 512kB time=00:00:04.00 ..."
+const parseFFmpegProgress = (line) => {
+  const frame = /frame=\s*(\d+)/.exec(line);
+  const time = /time=\s*(\d+:\d+:[\d.]+)/.exec(line);
+
+  if (!frame && !time) {
+    return null;
+  }
+
+  return {
+    frame: frame ? parseInt(frame[1], 10) : null,
+    time: time ? parseTimestamp(time[1]) : null
+  };
+};
+
+// Spawn FFmpeg and turn its stderr stats into a percentage.
+// Pass totalFrames (video encodes) or durationSec (audio/mux) to scale the progress.
+// onOutput receives every other stderr line (filter reports such as loudnorm's JSON).
+const runFFmpeg = (args, { label = 'FFmpeg', totalFrames, durationSec, onProgress, onOutput } = {}) => {
+  return new Promise((resolve, reject) => {
+    const ffmpegProcess = spawnFFmpeg(args);
+
+    ffmpegProcess.stdout.on('data', data => logger(`${label} stdout: ${data}`));
+
+    ffmpegProcess.stderr.on('data', (data) => {
+      for (const line of String(data).split(/[\r\n]+/)) {
+        if (!line.trim()) continue;
+
+        const progress = parseFFmpegProgress(line);
+        if (!progress) {
+          logger(`${label} stderr: ${line}`);
+          if (onOutput) onOutput(line);
+          continue;
+        }
+
+        let percent = null;
+        if (totalFrames && progress.frame !== null) {
+          percent = (progress.frame / totalFrames) * 100;
+        } else if (durationSec && progress.time !== null) {
+          percent = (progress.time / durationSec) * 100;
+        }
+
+        if (onProgress && percent !== null) {
+          onProgress(Math.min(percent, 99), progress);
+        }
+      }
+    });
+
+    ffmpegProcess.on('error', (err) => {
+      logger(`❌ ${label} failed:`, err.message);
+      reject(err);
+    });
+
+    ffmpegProcess.on('close', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`FFmpeg exited with code ${code}`));
+      }
+    });
+  });
+};
+
+// Run ffprobe and resolve its stdout
+const runFFprobe = (args) => {
+  return new Promise((resolve, reject) => {
+    const probe = spawnFFprobe(['-v', 'error', ...args]);
+    let stdout = '';
+    let stderr = '';
+
+    probe.stdout.on('data', data => { stdout += data; });
+    probe.stderr.on('data', data => { stderr = (stderr + data).slice(-2000); });
+    probe.on('error', reject);
+    probe.on('close', (code) => {
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(new Error(`ffprobe exited with code ${code}: ${stderr.trim().split('\n').pop() || ''}`));
+      }
+    });
+  });
+};
+
+// Container duration (s) and whether there is an audio stream
+const probeMedia = async (filePath) => {
+  const info = JSON.parse(await runFFprobe([
+    '-show_entries', 'format=duration:stream=codec_type',
+    '-of', 'json',
+    filePath
+  ]));
+  return {
+    duration: parseFloat(info.format && info.format.duration) || 0,
+    hasVideo: (info.streams || []).some(stream => stream.codec_type === 'video'),
+    hasAudio: (info.streams || []).some(stream => stream.codec_type === 'audio')
+  };
+};
+
+// Keyframe times (s) of the first video stream, read from packet flags (no decoding)
+const probeKeyframes = async (filePath) => {
+  const output = await runFFprobe([
+    '-select_streams', 'v:0',
+    '-show_entries', 'packet=pts_time,flags',
+    '-of', 'csv=p=0',
+    filePath
+  ]);
+  return output.split('\n')
+    .map(line => line.split(','))
+    .filter(([time, flags]) => flags && flags.includes('K') && time !== 'N/A')
+    .map(([time]) => parseFloat(time))
+    .sort((a, b) => a - b);
+};
+
 class RecordingManager {
   constructor(roomId, socketId, options = {}) {
     this.roomId = roomId;
     this.socketId = socketId;
-    this.recordingId = null;
+    // recordingId -> recording; a room can capture several recordings at once
     this.recordings = new Map();
-    this.activeRecording = null;
+    this.maxActiveRecordings = options.maxActiveRecordings || 4;
     this.isFFmpegAvailable = options.isFFmpegAvailable || false;
     this.storagePath = path.resolve(options.storagePath || './ui-recordings');
+    this.catalog = options.catalog || null;
+    // Where completed files and thumbnails end up (local disk unless configured otherwise)
+    this.storage = options.storage || new LocalStorageAdapter({ root: this.storagePath });
+    this.jobQueue = options.jobQueue || null;
+    this.onProgress = options.onProgress || null;
+    this.hlsByDefault = options.hlsByDefault || false;
+    // Seconds of frames per background-encoded segment (0 = encode everything at stop)
+    this.segmentDuration = options.segmentDuration !== undefined ? options.segmentDuration : 60;
+    // 'cut' drops paused time from the output, 'card' shows a short "paused" card instead
+    this.pauseMode = options.pauseMode || 'cut';
+    this.pauseCardSeconds = options.pauseCardSeconds || 2;
+    // Offline speech-to-text (Transcriber); null or disabled = no transcripts
+    this.transcriber = options.transcriber || null;
+    // Named output settings (codec, quality, size, rate, container); see encodingProfiles.js
+    this.encodingProfiles = options.encodingProfiles || createEncodingProfiles();
+    // Audio clean-up applied when a recording's options don't say otherwise
+    this.audioProcessing = resolveAudioProcessing(null, options.audioProcessing || AUDIO_PROCESSING_DEFAULTS);
+    // Still-screen + silence detection at finalize; shorter idle stretches are not reported
+    this.idleDetection = options.idleDetection || false;
+    this.idleMinSeconds = options.idleMinSeconds || IDLE_DEFAULTS.minSeconds;
+    this.progressEmittedAt = new Map();
     
     // Frame queue for backpressure handling
     this.frameQueue = [];
     this.isProcessingFrames = false;
     
-    this.frameCounter = 0;
     this.audioChunks = [];
     this.audioIndex = 0;
     
     this.initializeStorage();
+    this.restoreFromCatalog();
   }
 
   getSocketId() {
@@ -91,7 +353,414 @@ class RecordingManager {
     fs.ensureDirSync(path.join(roomStorage, 'audio'));
   }
 
-  async startUIRecording(userId, options = {}) {
+  // Rebuild this room's recordings from the persistent catalog (after restart or eviction)
+  restoreFromCatalog() {
+    if (!this.catalog) {
+      return;
+    }
+
+    const roomStorage = path.join(this.storagePath, 'rooms', this.roomId);
+
+    for (const entry of this.catalog.getRoomRecordings(this.roomId)) {
+      const recording = {
+        ...entry,
+        tempDir: path.join(roomStorage, 'temp', entry.id),
+        framesDir: path.join(roomStorage, 'temp', entry.id, 'frames'),
+        audioDir: path.join(roomStorage, 'temp', entry.id, 'audio'),
+        frameFiles: [],
+        frameTimestamps: [],
+        audioFiles: [],
+        segments: [],
+        segmentChain: Promise.resolve(),
+        frameCounter: 0,
+        socketId: null,
+        participants: entry.participants || {},
+        speakerEvents: [],
+        pauses: entry.pauses || [],
+        markers: entry.markers || [],
+        metadata: entry.metadata || emptyMetadata(),
+        isProcessing: false
+      };
+
+      // Recordings already handed to the job queue are resumed by the queue itself - if it still
+      // has the job: finished jobs get pruned and jobs.json can be lost
+      if (['stopping', 'queued', 'processing'].includes(recording.status) && recording.jobId) {
+        const job = this.jobQueue ? this.jobQueue.getJob(recording.jobId) : null;
+        if (job && job.status === 'queued') {
+          recording.status = 'queued';
+        } else if (job && job.status === 'failed') {
+          recording.status = 'failed';
+          recording.error = recording.error || job.error || 'Processing failed';
+          this.persist(recording);
+        } else {
+          // No job to wait for: handled below like any unfinished recording or clip
+          logger(`⚠️ Job ${recording.jobId} for recording ${recording.id} is gone from the queue`);
+          recording.jobId = null;
+          recording.status = 'processing';
+        }
+      }
+
+      // Without a queue job there is nothing to resume a clip export from; it can be requested again
+      if (recording.type === 'clip' && ['queued', 'processing'].includes(recording.status) && !recording.jobId) {
+        recording.status = 'failed';
+        recording.error = 'Server stopped before the clip was exported';
+        this.persist(recording);
+      }
+
+      // Capture state lives in memory only, so an unfinished recording cannot simply continue
+      if (['recording', 'paused', 'stopping', 'processing'].includes(recording.status)) {
+        this.closePause(recording, recording.stoppedAt ? recording.stoppedAt.getTime() : Date.now());
+        recording.status = 'interrupted';
+        recording.error = 'Server stopped before the recording was finalized';
+        this.persist(recording);
+      }
+
+      this.recordings.set(recording.id, recording);
+    }
+
+    if (this.recordings.size > 0) {
+      logger(`📚 Restored ${this.recordings.size} recordings for room ${this.roomId}`);
+    }
+  }
+
+  // Rebuild frameFiles/audioFiles from the files already written to the temp dir. Timestamps
+  // come from the filenames (file mtimes change when a temp dir is copied or restored); frames
+  // written before names carried one are placed by sequence number at the capture frame rate.
+  async rebuildMediaIndex(recording) {
+    const frameFiles = [];
+    const audioFiles = [];
+
+    // Segments already encoded in the background; their frames are gone (or stale)
+    const manifestPath = path.join(recording.tempDir, 'segments', 'segments.json');
+    recording.segments = await fs.pathExists(manifestPath) ? await fs.readJson(manifestPath) : [];
+    const lastSegment = recording.segments[recording.segments.length - 1];
+    const lastSegmentedFrame = lastSegment ? lastSegment.lastFrameNumber : -1;
+    const captureStart = recording.stats.firstFrameTime || (lastSegment ? recording.segments[0].startTime : recording.startedAt.getTime());
+    const sequenceTime = (frameNumber) => captureStart + Math.round(frameNumber * 1000 / (recording.options.fps || 30));
+
+    // Composite recordings keep one frames/<participantId> and audio/<participantId> dir each
+    const composite = recording.options.composite;
+    const sources = async (dir) => {
+      if (!await fs.pathExists(dir)) return [];
+      if (!composite) return [{ dir, participantId: null }];
+      return (await fs.readdir(dir))
+        .filter(name => PARTICIPANT_ID_PATTERN.test(name))
+        .map(participantId => ({ dir: path.join(dir, participantId), participantId }));
+    };
+
+    for (const { dir, participantId } of await sources(recording.framesDir)) {
+      for (const file of await fs.readdir(dir)) {
+        const match = /^frame_(\d+)(?:_(\d+))?\.webp$/.exec(file);
+        if (!match) continue;
+
+        const framePath = path.join(dir, file);
+        const frameNumber = parseInt(match[1], 10);
+        if (!composite && frameNumber <= lastSegmentedFrame) {
+          await fs.remove(framePath);
+          continue;
+        }
+
+        const stats = await fs.stat(framePath);
+        frameFiles.push({
+          path: framePath,
+          timestamp: match[2] ? parseInt(match[2], 10) : sequenceTime(frameNumber),
+          frameNumber,
+          filename: file,
+          size: stats.size,
+          participantId
+        });
+      }
+    }
+
+    for (const { dir, participantId } of await sources(recording.audioDir)) {
+      for (const file of await fs.readdir(dir)) {
+        const match = /^audio_(\d+)_(\d+)\.webm$/.exec(file);
+        if (!match) continue;
+
+        audioFiles.push({
+          path: path.join(dir, file),
+          timestamp: parseInt(match[2], 10),
+          index: parseInt(match[1], 10),
+          participantId
+        });
+      }
+    }
+
+    frameFiles.sort(composite
+      ? (a, b) => a.timestamp - b.timestamp || a.frameNumber - b.frameNumber
+      : (a, b) => a.frameNumber - b.frameNumber);
+    audioFiles.sort((a, b) => a.index - b.index);
+
+    if (composite) {
+      recording.participants = {};
+      for (const media of [...frameFiles, ...audioFiles]) {
+        const participant = recording.participants[media.participantId] = recording.participants[media.participantId] ||
+          { frameCounter: 0, frames: 0, audioChunks: 0, firstFrameTime: null, lastFrameTime: null };
+        if (media.frameNumber === undefined) {
+          participant.audioChunks++;
+          continue;
+        }
+        participant.frames++;
+        participant.frameCounter = Math.max(participant.frameCounter, media.frameNumber + 1);
+        participant.firstFrameTime = participant.firstFrameTime || media.timestamp;
+        participant.lastFrameTime = media.timestamp;
+      }
+
+      const speakersPath = path.join(recording.tempDir, 'speakers.jsonl');
+      recording.speakerEvents = await fs.pathExists(speakersPath)
+        ? (await fs.readFile(speakersPath, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line))
+        : [];
+    }
+
+    const segmentedFrames = recording.segments.reduce((sum, segment) => sum + segment.frameCount, 0);
+
+    recording.frameFiles = frameFiles;
+    recording.audioFiles = audioFiles;
+    recording.frameCounter = frameFiles.reduce((max, frame) => Math.max(max, frame.frameNumber + 1), lastSegmentedFrame + 1);
+    recording.stats.framesWritten = segmentedFrames + frameFiles.length;
+    recording.stats.audioChunksReceived = audioFiles.length;
+    if (recording.segments.length > 0) {
+      recording.stats.firstFrameTime = recording.segments[0].startTime;
+      recording.stats.lastFrameTime = lastSegment.endTime;
+    }
+    if (frameFiles.length > 0) {
+      recording.stats.firstFrameTime = recording.stats.firstFrameTime || frameFiles[0].timestamp;
+      recording.stats.lastFrameTime = frameFiles[frameFiles.length - 1].timestamp;
+    }
+    if (recording.type === RECORDING_TYPES.audio && audioFiles.length > 0) {
+      const lastChunkTime = Math.max(...audioFiles.map(chunk => chunk.timestamp));
+      recording.stats.firstFrameTime = recording.stats.firstFrameTime || audioFiles[0].timestamp - DEFAULT_AUDIO_CHUNK_MS;
+      recording.stats.lastFrameTime = lastChunkTime;
+    }
+
+    return recording;
+  }
+
+  // Temp dirs of recordings the catalog never saw (a crash before the first write, a catalog
+  // restored from backup, a copied-in temp dir): catalogued as 'interrupted' so they get recovered
+  async adoptOrphanedTempDirs() {
+    const tempRoot = path.join(this.storagePath, 'rooms', this.roomId, 'temp');
+    const adopted = [];
+    if (!await fs.pathExists(tempRoot)) {
+      return adopted;
+    }
+
+    for (const recordingId of await fs.readdir(tempRoot)) {
+      const tempDir = path.join(tempRoot, recordingId);
+      if (this.recordings.has(recordingId) || !PARTICIPANT_ID_PATTERN.test(recordingId) || !(await fs.stat(tempDir)).isDirectory()) {
+        continue;
+      }
+
+      const framesDir = path.join(tempDir, 'frames');
+      const audioDir = path.join(tempDir, 'audio');
+      const entries = async (dir) => (await fs.pathExists(dir) ? fs.readdir(dir) : []);
+      const frameEntries = await entries(framesDir);
+      const audioEntries = await entries(audioDir);
+      if (frameEntries.length === 0 && audioEntries.length === 0) {
+        continue;
+      }
+
+      // Per-participant subdirectories only exist in composite recordings
+      const composite = [...frameEntries, ...audioEntries].some(name => PARTICIPANT_ID_PATTERN.test(name));
+      const audioOnly = frameEntries.length === 0;
+      const encoding = selectEncoders(this.encodingProfiles.resolve(this.roomId, audioOnly ? 'audio-only' : null));
+      const firstChunk = audioEntries.map(name => /^audio_\d+_(\d+)\.webm$/.exec(name)).filter(Boolean)
+        .reduce((min, match) => Math.min(min, parseInt(match[1], 10)), Infinity);
+      const startedAt = new Date(Number.isFinite(firstChunk) ? firstChunk - DEFAULT_AUDIO_CHUNK_MS : (await fs.stat(tempDir)).birthtimeMs || Date.now());
+
+      const recording = {
+        id: recordingId,
+        roomId: this.roomId,
+        userId: 'unknown',
+        type: audioOnly ? RECORDING_TYPES.audio : RECORDING_TYPES.screen,
+        filename: `ui-recording_${this.roomId}_${startedAt.toISOString().replace(/[:.]/g, '-')}.${containerOf(encoding).extension}`,
+        status: 'interrupted',
+        startedAt,
+        pausedAt: null,
+        resumedAt: null,
+        stoppedAt: null,
+        completedAt: null,
+        fileUrl: null,
+        error: 'Found unfinished in the temp directory without a catalog entry',
+        tempDir,
+        framesDir,
+        audioDir,
+        options: {
+          fps: 30,
+          width: 1280,
+          height: 720,
+          quality: null,
+          profile: encoding.name,
+          encoding,
+          captureSurface: 'unknown',
+          hls: false,
+          composite,
+          layout: composite ? 'grid' : null,
+          mainParticipantId: null,
+          pauseMode: this.pauseMode,
+          pauseCardSeconds: this.pauseCardSeconds,
+          transcribe: false,
+          subtitles: 'none',
+          audioProcessing: this.audioProcessing,
+          detectIdle: false,
+          withAudio: true
+        },
+        stats: {
+          framesReceived: 0,
+          framesProcessed: 0,
+          framesWritten: 0,
+          audioChunksReceived: 0,
+          lastFrameTime: null,
+          firstFrameTime: null,
+          droppedFrames: 0,
+          errors: 0,
+          averageFPS: 0
+        },
+        frameFiles: [],
+        frameTimestamps: [],
+        audioFiles: [],
+        segments: [],
+        segmentChain: Promise.resolve(),
+        frameCounter: 0,
+        socketId: null,
+        participants: {},
+        speakerEvents: [],
+        pauses: [],
+        markers: [],
+        metadata: emptyMetadata(),
+        isProcessing: false
+      };
+
+      this.recordings.set(recordingId, recording);
+      await this.persist(recording);
+      adopted.push(recording);
+      logger(`🩹 Catalogued orphaned temp dir ${recordingId} in room ${this.roomId}`);
+    }
+
+    return adopted;
+  }
+
+  // Encode recordings whose capture was cut short by a crash or restart, including
+  // unfinished temp dirs that never made it into the catalog
+  async recoverInterruptedRecordings() {
+    await this.adoptOrphanedTempDirs();
+
+    const interrupted = Array.from(this.recordings.values())
+      .filter(recording => recording.status === 'interrupted');
+    const recovered = [];
+
+    if (interrupted.length === 0) {
+      return recovered;
+    }
+
+    for (const recording of interrupted) {
+      if (!await fs.pathExists(recording.tempDir)) {
+        recording.status = 'failed';
+        recording.error = 'Recording was interrupted and its temp files are gone';
+        await this.persist(recording);
+        continue;
+      }
+
+      logger(`🩹 Recovering interrupted recording ${recording.id} in room ${this.roomId}`);
+
+      await this.rebuildMediaIndex(recording);
+      recording.recovered = true;
+      recording.error = null;
+      recording.status = 'recording';
+
+      try {
+        recovered.push(await this.stopRecording(recording.id, recording.audioFiles.length > 0, { priority: -1 }));
+        logger(`✅ Recovering recording ${recording.id}: ${recording.stats.framesWritten} frames, ${recording.stats.audioChunksReceived} audio chunks`);
+      } catch (error) {
+        logger(`❌ Recovery failed for ${recording.id}:`, error.message);
+      }
+    }
+
+    return recovered;
+  }
+
+  // Map a stage's own progress onto the whole finalize pipeline, estimate an ETA and
+  // pass it on to the job queue and the onProgress listener (throttled per recording)
+  reportProcessing(recording, stage, stagePercent, context = {}) {
+    const { start, weight } = PROCESSING_STAGES[stage];
+    const percent = Math.round(start + (weight * stagePercent) / 100);
+    const startedAt = (recording.processing && recording.processing.startedAt) || Date.now();
+    const elapsedSec = (Date.now() - startedAt) / 1000;
+    const stageChanged = !recording.processing || recording.processing.stage !== stage;
+
+    recording.processing = {
+      stage,
+      stagePercent: Math.round(stagePercent),
+      percent,
+      eta: percent > 0 ? Math.round((elapsedSec * (100 - percent)) / percent) : null,
+      startedAt,
+      updatedAt: Date.now()
+    };
+
+    const lastEmit = this.progressEmittedAt.get(recording.id) || 0;
+    if (!stageChanged && stagePercent < 100 && Date.now() - lastEmit < PROGRESS_EMIT_INTERVAL_MS) {
+      return;
+    }
+    this.progressEmittedAt.set(recording.id, Date.now());
+
+    if (context.reportProgress) {
+      context.reportProgress(percent, { stage, eta: recording.processing.eta });
+    }
+    if (this.onProgress) {
+      this.onProgress(recording, recording.processing);
+    }
+  }
+
+  persist(recording) {
+    if (!this.catalog || !recording) {
+      return Promise.resolve();
+    }
+    return this.catalog.save(recording);
+  }
+
+  // Recordings currently capturing (or paused), oldest first
+  getActiveRecordings() {
+    return Array.from(this.recordings.values())
+      .filter(recording => ACTIVE_STATUSES.includes(recording.status))
+      .sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  // A specific recording, or - when no id is given - the room's only active one
+  resolveRecording(recordingId) {
+    if (recordingId) {
+      const recording = this.recordings.get(recordingId);
+      if (!recording) {
+        throw new Error(`Recording ${recordingId} not found in room ${this.roomId}`);
+      }
+      return recording;
+    }
+
+    const active = this.getActiveRecordings();
+    if (active.length === 0) {
+      throw new Error('No active recording');
+    }
+    if (active.length > 1) {
+      throw new Error(`Room ${this.roomId} has ${active.length} active recordings, recordingId is required`);
+    }
+    return active[0];
+  }
+
+  // What room-level status reports: the newest active recording, else the newest one
+  getCurrentRecording() {
+    const active = this.getActiveRecordings();
+    if (active.length > 0) {
+      return active[active.length - 1];
+    }
+
+    // Clips are never the room's current recording
+    const all = Array.from(this.recordings.values())
+      .filter(recording => recording.type !== 'clip')
+      .sort((a, b) => a.startedAt - b.startedAt);
+    return all[all.length - 1] || null;
+  }
+
+  // socketId: connection that owns the capture (its disconnect stops this recording only)
+  async startUIRecording(userId, options = {}, socketId = this.socketId) {
    
      try {
         
@@ -99,22 +768,55 @@ class RecordingManager {
       throw new Error('FFmpeg is not available');
     }
 
-    if (this.activeRecording && 
-        (this.activeRecording.status === 'recording' || 
-         this.activeRecording.status === 'paused')) {
-      throw new Error(`Room ${this.roomId} already has an active recording`);
+    if (options.layout && !LAYOUTS.includes(options.layout)) {
+      throw new Error(`Unknown layout: ${options.layout} (expected ${LAYOUTS.join(', ')})`);
+    }
+
+    if (options.subtitles && !SUBTITLE_MODES.includes(options.subtitles)) {
+      throw new Error(`Unknown subtitles mode: ${options.subtitles} (expected ${SUBTITLE_MODES.join(', ')})`);
+    }
+
+    if (options.pauseMode && !PAUSE_MODES.includes(options.pauseMode)) {
+      throw new Error(`Unknown pauseMode: ${options.pauseMode} (expected ${PAUSE_MODES.join(', ')})`);
     }
 
+    if (options.type && !RECORDING_TYPES[options.type]) {
+      throw new Error(`Unknown recording type: ${options.type} (expected ${Object.keys(RECORDING_TYPES).join(', ')})`);
+    }
+
+    const audioOnly = options.type === 'audio';
+    if (audioOnly && (options.composite || options.layout)) {
+      throw new Error('Audio recordings cannot be composite');
+    }
+
+    if (this.getActiveRecordings().length >= this.maxActiveRecordings) {
+      throw new Error(`Room ${this.roomId} already has ${this.maxActiveRecordings} active recordings`);
+    }
+
+    // Audio recordings default to the audio-only profile instead of the room's
+    const encoding = selectEncoders(this.encodingProfiles.resolve(this.roomId, options.profile || (audioOnly ? 'audio-only' : null)));
+    if (audioOnly && encoding.video) {
+      throw new Error(`Encoding profile ${encoding.name} has video; audio recordings need an audio profile`);
+    }
+    const quality = resolveQuality(encoding, options.quality);
+    const audioProcessing = resolveAudioProcessing(options.audioProcessing, this.audioProcessing);
+    const metadata = mergeMetadata(null, {
+      title: options.title,
+      description: options.description,
+      tags: options.tags,
+      custom: options.metadata
+    });
+
     const recordingId = uuidv4();
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `ui-recording_${this.roomId}_${timestamp}.mp4`;
+    const filename = `ui-recording_${this.roomId}_${timestamp}.${containerOf(encoding).extension}`;
     const roomStorage = path.join(this.storagePath, 'rooms', this.roomId);
     
     const recording = {
       id: recordingId,
       roomId: this.roomId,
       userId,
-      type: 'ui-screen',
+      type: RECORDING_TYPES[options.type || 'screen'],
       filename,
       status: 'initializing',
       startedAt: new Date(),
@@ -130,8 +832,22 @@ class RecordingManager {
         fps: options.fps || 30,
         width: options.width || 1280,
         height: options.height || 720,
-        quality: options.quality || 23,
+        // CRF override; null = the profile's own
+        quality,
+        profile: encoding.name,
+        encoding,
         captureSurface: options.captureSurface || 'unknown',
+        hls: !audioOnly && (options.hls !== undefined ? !!options.hls : this.hlsByDefault),
+        // Composite: several participants send frames/audio to this recording; laid out at encode time
+        composite: !!(options.composite || options.layout),
+        layout: options.composite || options.layout ? options.layout || 'grid' : null,
+        mainParticipantId: options.mainParticipantId || userId,
+        pauseMode: options.pauseMode || this.pauseMode,
+        pauseCardSeconds: this.pauseCardSeconds,
+        transcribe: this.canTranscribe() && (options.transcribe !== undefined ? !!options.transcribe : true),
+        subtitles: options.subtitles || (this.transcriber ? this.transcriber.subtitles : 'none'),
+        audioProcessing,
+        detectIdle: options.detectIdle !== undefined ? !!options.detectIdle : this.idleDetection,
         withAudio: true
       },
       stats: {
@@ -149,6 +865,15 @@ class RecordingManager {
       frameFiles: [],
       frameTimestamps: [],
       audioFiles: [],
+      segments: [],
+      segmentChain: Promise.resolve(),
+      frameCounter: 0,
+      socketId: socketId || null,
+      participants: {},
+      speakerEvents: [],
+      pauses: [],
+      markers: [],
+      metadata,
       isProcessing: false
     };
 
@@ -158,14 +883,10 @@ class RecordingManager {
     
     recording.status = 'recording';
     this.recordings.set(recordingId, recording);
-    this.activeRecording = recording;
-    this.recordingId = recordingId;
-    this.frameCounter = 0;
-    this.frameQueue = [];
-    this.isProcessingFrames = false;
+    await this.persist(recording);
     
-    logger(`🎥 UI Recording started in room ${this.roomId}: ${recordingId}`);
-    logger(`📊 Target FPS: ${recording.options.fps}, Audio: ${recording.options.withAudio}`);
+    logger(`${audioOnly ? '🎙️ Audio' : '🎥 UI'} Recording started in room ${this.roomId}: ${recordingId}`);
+    logger(`📊 Target FPS: ${recording.options.fps}, Audio: ${recording.options.withAudio}, Profile: ${encoding.name}${encoding.video && encoding.video.requestedCodec ? ` (${encoding.video.codec})` : ''}`);
     return recording;
      } catch (error) {
         logger(`❌ Error starting recording in room ${this.roomId}:`, error.message);
@@ -174,17 +895,18 @@ class RecordingManager {
 
   }
 
-  async addUIFrame(frameData, timestamp, metadata = {}) {
-    if (!this.activeRecording) {
-      throw new Error('No active recording');
-    }
-
-    const recording = this.activeRecording;
+  async addUIFrame(recordingId, frameData, timestamp, metadata = {}) {
+    const recording = this.resolveRecording(recordingId);
     
-    if (recording.status !== 'recording' && recording.status !== 'stopping') {
+    // Queued recordings are already being finalized: late frames would change what it reads
+    if (!['recording', 'stopping'].includes(recording.status)) {
       throw new Error(`Cannot add frame - recording status is: ${recording.status}`);
     }
 
+    if (recording.type === RECORDING_TYPES.audio) {
+      throw new Error(`Cannot add frame - ${recording.id} is an audio recording`);
+    }
+
     recording.stats.framesReceived++;
 
     try {
@@ -211,11 +933,7 @@ class RecordingManager {
   }
 
   async addBulkFrames(recordingId, frames) {
-    const recording = this.recordings.get(recordingId) || this.activeRecording;
-    
-    if (!recording) {
-      throw new Error('No recording found');
-    }
+    const recording = this.resolveRecording(recordingId);
 
     let processed = 0;
     let failed = 0;
@@ -244,12 +962,20 @@ class RecordingManager {
     };
   }
 
-  async addAudioChunk(recordingId, audioData, timestamp, index) {
-   const recording = this.recordings.get(recordingId) || this.activeRecording;
+  // meta.startedAt: when the client's MediaRecorder started (anchors the audio to the video)
+  async addAudioChunk(recordingId, audioData, timestamp, index, { participantId = null, startedAt = null } = {}) {
+    const recording = this.resolveRecording(recordingId);
 
-    if (!recording) {
-   
-      throw new Error('No recording found');
+    // Same guard as frames, except paused: chunks recorded through a pause are cut out at encode time.
+    // After stop the temp dir is being read or is already gone.
+    if (!['recording', 'paused', 'stopping'].includes(recording.status)) {
+      throw new Error(`Cannot add audio - recording status is: ${recording.status}`);
+    }
+
+    // All three come from the client: the first two name the chunk file, startedAt aligns the track
+    const isCount = (value) => Number.isSafeInteger(value) && value >= 0;
+    if (!isCount(index) || !isCount(timestamp) || (startedAt !== null && !isCount(startedAt))) {
+      throw new Error('Audio chunk index, timestamp and startedAt must be non-negative integers');
     }
 
     if (!recording.options.withAudio) {
@@ -258,7 +984,24 @@ class RecordingManager {
 
     try {
       const audioFilename = `audio_${String(index).padStart(6, '0')}_${timestamp}.webm`;
-      const audioPath = path.join(recording.audioDir, audioFilename);
+      let audioDir = recording.audioDir;
+
+      // Whoever holds the recorder start time: the participant (composite) or the recording
+      let audioOwner = recording.stats;
+      if (recording.options.composite) {
+        participantId = this.registerParticipant(recording, participantId);
+        audioDir = path.join(recording.audioDir, participantId);
+        await fs.ensureDir(audioDir);
+        audioOwner = recording.participants[participantId];
+        audioOwner.audioChunks++;
+      }
+
+      if (startedAt && !audioOwner.audioStartTime) {
+        audioOwner.audioStartTime = startedAt;
+        this.persist(recording);
+      }
+
+      const audioPath = path.join(audioDir, audioFilename);
       
       const buffer = Buffer.from(audioData, 'base64');
       await fs.writeFile(audioPath, buffer);
@@ -266,10 +1009,21 @@ class RecordingManager {
       recording.audioFiles.push({
         path: audioPath,
         timestamp,
-        index
+        index,
+        participantId: recording.options.composite ? participantId : null
       });
       
       recording.stats.audioChunksReceived++;
+
+      // Audio recordings have no frames: their timeline starts with the audio (refined to the
+      // measured track start at finalize) and ends at the latest chunk
+      if (recording.type === RECORDING_TYPES.audio) {
+        if (!recording.stats.firstFrameTime) {
+          recording.stats.firstFrameTime = recording.stats.audioStartTime || timestamp - DEFAULT_AUDIO_CHUNK_MS;
+          this.persist(recording);
+        }
+        recording.stats.lastFrameTime = Math.max(recording.stats.lastFrameTime || 0, timestamp);
+      }
       logger(`🎤 Audio chunk ${index} saved (${Math.round(buffer.length / 1024)}KB) - Total: ${recording.stats.audioChunksReceived}`);
     } catch (error) {
      
@@ -286,22 +1040,50 @@ class RecordingManager {
         throw new Error('Invalid frame buffer format');
       }
 
-      const frameNumber = this.frameCounter++;
-      const frameFilename = `frame_${frameNumber.toString().padStart(6, '0')}.webp`;
-      const framePath = path.join(recording.framesDir, frameFilename);
+      let framesDir = recording.framesDir;
+      let participantId = null;
+      let frameNumber;
+
+      if (recording.options.composite) {
+        participantId = this.registerParticipant(recording, metadata && metadata.participantId);
+        const participant = recording.participants[participantId];
+        framesDir = path.join(recording.framesDir, participantId);
+        if (participant.frameCounter === 0) {
+          await fs.ensureDir(framesDir);
+        }
+        frameNumber = participant.frameCounter++;
+      } else {
+        frameNumber = recording.frameCounter++;
+      }
+
+      // Capture time in the name, so a restart can rebuild the timeline from the files alone
+      const frameTimestamp = timestamp || Date.now();
+      const frameFilename = `frame_${frameNumber.toString().padStart(6, '0')}_${frameTimestamp}.webp`;
+      const framePath = path.join(framesDir, frameFilename);
 
       // Sequential write (no parallel processing) - respects backpressure
       await fs.writeFile(framePath, frameBuffer);
       
       const frameInfo = {
         path: framePath,
-        timestamp: timestamp || Date.now(),
+        timestamp: frameTimestamp,
         frameNumber,
         filename: frameFilename,
-        size: frameBuffer.length
+        size: frameBuffer.length,
+        participantId
       };
       
       recording.frameFiles.push(frameInfo);
+
+      if (participantId) {
+        const participant = recording.participants[participantId];
+        participant.frames++;
+        participant.firstFrameTime = participant.firstFrameTime || frameInfo.timestamp;
+        participant.lastFrameTime = frameInfo.timestamp;
+        if (metadata && metadata.speaking) {
+          this.trackSpeaker(recording, participantId, frameInfo.timestamp);
+        }
+      }
       recording.stats.framesWritten++;
 
       if (recording.stats.framesWritten === 1) {
@@ -322,6 +1104,8 @@ class RecordingManager {
         logger(`📊 Room ${this.roomId}: ${recording.stats.framesWritten} frames, ${(frameBuffer.length / 1024).toFixed(1)}KB avg, FPS: ${recording.stats.averageFPS}`);
       }
 
+      this.maybeEncodeSegment(recording);
+
     } catch (error) {
      
       recording.stats.droppedFrames++;
@@ -329,206 +1113,631 @@ class RecordingManager {
     }
   }
 
-  async pauseRecording() {
-    if (!this.activeRecording || this.activeRecording.status !== 'recording') {
-      throw new Error('Cannot pause - no active recording or not in recording state');
+  // Audio chunks still arriving well into a pause: that client kept recording, so the
+  // paused stretch is in its audio and has to be cut out server-side
+  recordedThroughPause(recording, audioChunks) {
+    return audioChunks.some(chunk => recording.pauses.some(pause =>
+      chunk.timestamp > pause.start + PAUSE_FLUSH_GRACE_MS && (!pause.end || chunk.timestamp < pause.end)
+    ));
+  }
+
+  // Composite recordings: validate and register the participant sending frames/audio
+  registerParticipant(recording, participantId) {
+    const id = participantId || recording.userId;
+
+    if (!PARTICIPANT_ID_PATTERN.test(String(id))) {
+      throw new Error(`Invalid participantId: ${id}`);
     }
 
-    this.activeRecording.status = 'paused';
-    this.activeRecording.pausedAt = new Date();
+    if (!recording.participants[id]) {
+      recording.participants[id] = {
+        frameCounter: 0,
+        frames: 0,
+        audioChunks: 0,
+        firstFrameTime: null,
+        lastFrameTime: null,
+        joinedAt: Date.now()
+      };
+      logger(`👥 Participant ${id} joined composite recording ${recording.id}`);
+    }
 
-    logger(`⏸️ Recording paused in room ${this.roomId}`);
-    return this.activeRecording;
+    return id;
   }
 
-  async resumeRecording() {
-    if (!this.activeRecording || this.activeRecording.status !== 'paused') {
-      throw new Error('Cannot resume - no active recording or not paused');
+  // Speaker changes drive the 'speaker' layout; kept in the temp dir for crash recovery
+  trackSpeaker(recording, participantId, timestamp) {
+    const last = recording.speakerEvents[recording.speakerEvents.length - 1];
+    if (last && last.participantId === participantId) {
+      return;
     }
 
-    this.activeRecording.status = 'recording';
-    this.activeRecording.resumedAt = new Date();
-
-    logger(`▶️ Recording resumed in room ${this.roomId}`);
-    return this.activeRecording;
+    const event = { participantId, timestamp };
+    recording.speakerEvents.push(event);
+    fs.appendFile(path.join(recording.tempDir, 'speakers.jsonl'), `${JSON.stringify(event)}\n`)
+      .catch(error => logger(`⚠️ Could not record speaker change:`, error.message));
   }
 
+  async pauseRecording(recordingId) {
+    const recording = this.resolveRecording(recordingId);
+    if (recording.status !== 'recording') {
+      throw new Error(`Cannot pause - recording status is: ${recording.status}`);
+    }
 
+    recording.status = 'paused';
+    recording.pausedAt = new Date();
+    recording.pauses.push({ start: recording.pausedAt.getTime(), end: null });
+    this.persist(recording);
 
-  async generateAllVideoFile(recording, frameInfos) {
-    const toPosix = (p) => path.resolve(p).replace(/\\/g, '/');
-    const concatFilePath = path.resolve(recording.tempDir, 'all_frames.txt');
-    await fs.ensureDir(path.dirname(concatFilePath));
+    logger(`⏸️ Recording ${recording.id} paused in room ${this.roomId}`);
+    return recording;
+  }
 
-    if (!frameInfos || frameInfos.length === 0) {
-      throw new Error('No frames provided for concat list');
+  async resumeRecording(recordingId) {
+    const recording = this.resolveRecording(recordingId);
+    if (recording.status !== 'paused') {
+      throw new Error(`Cannot resume - recording status is: ${recording.status}`);
     }
 
-    // Calculate approximate FPS
-    let fps = recording.options.fps || 30;
-    if (frameInfos.length > 1) {
-      const durationSec = (frameInfos[frameInfos.length - 1].timestamp - frameInfos[0].timestamp) / 1000;
-      if (durationSec > 0) {
-        fps = Math.min(Math.round(frameInfos.length / durationSec), 60);
-      }
-    }
+    recording.status = 'recording';
+    recording.resumedAt = new Date();
+    this.closePause(recording, recording.resumedAt.getTime());
+    this.persist(recording);
 
-    const lines = [];
-    for (let i = 0; i < frameInfos.length; i++) {
-      const curr = frameInfos[i];
-      const next = frameInfos[i + 1];
+    logger(`▶️ Recording ${recording.id} resumed in room ${this.roomId}`);
+    return recording;
+  }
 
-      let durSec;
-      if (next) {
-        durSec = Math.max((next.timestamp - curr.timestamp) / 1000, 1 / fps);
-      } else {
-        durSec = 1 / fps;
-      }
 
-      lines.push(`file '${toPosix(curr.path)}'`);
-      lines.push(`duration ${durSec.toFixed(6)}`);
-    }
 
-    // FFmpeg requires the last frame to appear again without duration
-    lines.push(`file '${toPosix(frameInfos[frameInfos.length - 1].path)}'`);
+  canTranscribe() {
+    return !!(this.transcriber && this.transcriber.enabled);
+  }
 
-    fs.writeFileSync(concatFilePath, lines.join('\n'));
-    return concatFilePath;
-  } 
+  // Speech-to-text of the final (aligned) audio: completed/<id>/transcript.{vtt,srt,json},
+  // optionally muxed into the MP4 as a subtitle track or burned into the picture
+  async transcribeRecording(recording, audioPath, finalPath, { durationSec, onProgress } = {}) {
+    const wavPath = path.join(recording.tempDir, 'transcribe.wav');
+    await runFFmpeg([
+      '-i', audioPath,
+      '-ar', '16000',
+      '-ac', '1',
+      '-c:a', 'pcm_s16le',
+      '-y',
+      wavPath
+    ], { label: 'Transcribe prep', durationSec });
+    if (onProgress) onProgress(10);
+
+    const segments = await this.transcriber.transcribe(wavPath, recording.tempDir);
+    if (onProgress) onProgress(80);
+
+    const outputDir = path.resolve(this.storagePath, 'rooms', this.roomId, 'completed', recording.id);
+    await fs.ensureDir(outputDir);
+    await fs.writeFile(path.join(outputDir, 'transcript.vtt'), toVtt(segments));
+    await fs.writeFile(path.join(outputDir, 'transcript.srt'), toSrt(segments));
+    await fs.writeJson(path.join(outputDir, 'transcript.json'), {
+      recordingId: recording.id,
+      engine: this.transcriber.engine,
+      language: this.transcriber.language,
+      segments
+    }, { spaces: 2 });
+
+    const baseUrl = `/recordings/rooms/${this.roomId}/completed/${recording.id}`;
+    recording.transcriptUrl = `${baseUrl}/transcript.json`;
+    recording.transcriptVttUrl = `${baseUrl}/transcript.vtt`;
+    recording.transcriptSrtUrl = `${baseUrl}/transcript.srt`;
+    recording.transcript = {
+      status: 'completed',
+      engine: this.transcriber.engine,
+      language: this.transcriber.language,
+      segments: segments.length,
+      completedAt: new Date()
+    };
 
+    if (segments.length > 0 && recording.options.subtitles !== 'none') {
+      await this.addSubtitles(recording, finalPath, path.join(outputDir, 'transcript.srt'), { durationSec });
+    }
 
+    await fs.remove(wavPath);
+    logger(`📝 Transcript saved for ${recording.id}: ${segments.length} segments`);
+  }
 
+  // 'mux': soft subtitle track (stream copy); 'burn': re-encode with the text drawn in
+  async addSubtitles(recording, finalPath, srtPath, { durationSec } = {}) {
+    const subtitledPath = path.join(recording.tempDir, `subtitled_${recording.filename}`);
+    const burn = recording.options.subtitles === 'burn';
+    const { subtitleCodec } = containerOf(this.encodingFor(recording));
+    if (burn ? !this.encodingFor(recording).video : !subtitleCodec) {
+      logger(`ℹ️ ${recording.options.profile} output cannot carry subtitles, transcript files only`);
+      return;
+    }
 
-// 3️⃣ Concatenate WAV → AAC (
-// .m4a)
-async  concatWavToAac() {
-  const audioDir = path.join(this.activeRecording.tempDir, 'audio');
-  const concatListPath = path.join(this.activeRecording.tempDir, 'audio_webm_concat.txt');
-  const outputFile = path.join(this.activeRecording.tempDir, 'audio.m4a');
+    // Filter arguments treat ':' '\' ',' '[' ']' ';' and quotes specially
+    const filterPath = path.resolve(srtPath).replace(/\\/g, '/').replace(/([:'\[\],;])/g, '\\$1');
+
+    const args = burn
+      ? [
+        '-i', finalPath,
+        '-vf', `subtitles=${filterPath}`,
+        ...this.videoEncodeArgs(recording),
+        '-c:a', 'copy'
+      ]
+      : [
+        '-i', finalPath,
+        '-i', srtPath,
+        '-map', '0',
+        '-map', '1:0',
+        '-c', 'copy',
+        '-c:s', subtitleCodec,
+        '-metadata:s:s:0', 'title=Transcript'
+      ];
 
-  // 1️⃣ Read and filter WebM audio files
-  const files = (await fs.readdir(audioDir))
-    .filter(f => f.endsWith('.webm'))
-    .sort();
+    await runFFmpeg([...args, ...this.containerArgs(recording), '-y', subtitledPath], {
+      label: burn ? 'Burn subtitles' : 'Mux subtitles',
+      durationSec
+    });
+    await fs.move(subtitledPath, finalPath, { overwrite: true });
+    recording.transcript.subtitles = recording.options.subtitles;
+  }
 
-  if (files.length === 0) throw new Error('No audio chunks found');
+  // Title, description, tags and custom key/value pairs; editable in any state. The MP4 gets
+  // the title and description at finalize, so later edits only change the catalog.
+  async updateMetadata(recordingId, changes) {
+    const recording = this.resolveRecording(recordingId);
+    recording.metadata = mergeMetadata(recording.metadata, changes);
+    await this.persist(recording);
 
-  // 2️⃣ Create concat list for FFmpeg
-  const lines = files.map(f =>
-    `file '${path.join(audioDir, f).replace(/\\/g, '/')}'`
-  );
-  await fs.writeFile(concatListPath, lines.join('\n'));
+    logger(`🏷️ Metadata updated for ${recording.id}`);
+    return recording.metadata;
+  }
 
-  logger(`🎵 Concatenating ${files.length} WebM audio chunks`);
+  // MP4 tags from the metadata: -metadata arguments for a stream-copy remux
+  metadataTags(recording) {
+    const { title, description, tags } = recording.metadata || emptyMetadata();
+    const values = {
+      title,
+      description,
+      comment: tags && tags.length > 0 ? tags.join(', ') : null
+    };
+    return Object.entries(values)
+      .filter(([, value]) => value)
+      .flatMap(([key, value]) => ['-metadata', `${key}=${value}`]);
+  }
 
-  return new Promise((resolve, reject) => {
-    // 3️⃣ Spawn FFmpeg process
-    const ffmpegArgs = [
-      '-f', 'concat',
-      '-safe', '0',
-      '-i', concatListPath,
-      '-c:a', 'aac',
-      '-ar', '48000',
-      '-ac', '2',
-      '-movflags', '+faststart',
+  // Bookmark a moment of an active recording ("decision made", "demo starts", ...)
+  async addMarker(recordingId, { label, author = null, timestamp = null } = {}) {
+    const recording = this.resolveRecording(recordingId);
+    if (!ACTIVE_STATUSES.includes(recording.status)) {
+      throw new Error(`Cannot add marker - recording status is: ${recording.status}`);
+    }
+
+    const text = String(label || '').replace(/\s+/g, ' ').trim();
+    if (!text || text.length > MAX_MARKER_LABEL_LENGTH) {
+      throw new Error(`Marker label is required (max ${MAX_MARKER_LABEL_LENGTH} characters)`);
+    }
+
+    // Client timestamps share the frames' clock; keep them within what has been captured
+    const now = Date.now();
+    const earliest = recording.stats.firstFrameTime || recording.startedAt.getTime();
+    const latest = Math.max(now, recording.stats.lastFrameTime || 0);
+    const at = timestamp !== null && Number.isFinite(Number(timestamp))
+      ? Math.min(Math.max(Number(timestamp), earliest), latest)
+      : now;
+
+    const marker = { id: uuidv4(), label: text, author: author || null, timestamp: at };
+    recording.markers.push(marker);
+    await this.persist(recording);
+
+    logger(`📍 Marker "${text}" added to ${recording.id}`);
+    return this.formatMarker(recording, marker);
+  }
+
+  // Offset is on the encoded timeline, so paused time is already accounted for
+  formatMarker(recording, marker) {
+    const t0 = recording.stats.firstFrameTime;
+    return {
+      id: marker.id,
+      label: marker.label,
+      author: marker.author,
+      createdAt: new Date(marker.timestamp),
+      offset: t0 && marker.timestamp > t0 ? Math.round(this.timelineOffset(recording, marker.timestamp) * 1000) / 1000 : 0
+    };
+  }
+
+  getMarkers(recording) {
+    return recording.markers
+      .map(marker => this.formatMarker(recording, marker))
+      .sort((a, b) => a.offset - b.offset);
+  }
+
+  // Markers -> chapters: each runs to the next marker; a leading "Start" covers the time before the first
+  buildChapters(recording, durationSec) {
+    const markers = this.getMarkers(recording).filter(marker => marker.offset < durationSec);
+    if (markers.length === 0) {
+      return [];
+    }
+
+    if (markers[0].offset > 0) {
+      markers.unshift({ label: 'Start', offset: 0 });
+    }
+
+    return markers.map((marker, i) => ({
+      title: marker.label,
+      start: marker.offset,
+      end: i + 1 < markers.length ? markers[i + 1].offset : durationSec
+    })).filter(chapter => chapter.end > chapter.start);
+  }
+
+  // completed/<id>/chapters.vtt and markers.json; returns the FFMETADATA chapter file for
+  // writeMetadata, or null when there are no chapters
+  async writeChapters(recording, durationSec) {
+    const chapters = this.buildChapters(recording, durationSec);
+    if (chapters.length === 0) {
+      return null;
+    }
+
+    const outputDir = path.resolve(this.storagePath, 'rooms', this.roomId, 'completed', recording.id);
+    const metadataPath = path.join(recording.tempDir, 'chapters.ffmeta');
+    await fs.ensureDir(outputDir);
+
+    const metadata = [';FFMETADATA1'];
+    for (const chapter of chapters) {
+      metadata.push(
+        '[CHAPTER]',
+        'TIMEBASE=1/1000',
+        `START=${Math.round(chapter.start * 1000)}`,
+        `END=${Math.round(chapter.end * 1000)}`,
+        `title=${escapeMetadata(chapter.title)}`
+      );
+    }
+    await fs.writeFile(metadataPath, metadata.join('\n'));
+
+    const cues = chapters.map((chapter, i) =>
+      `${i + 1}\n${formatVttTime(chapter.start)} --> ${formatVttTime(chapter.end)}\n${chapter.title}`
+    );
+    await fs.writeFile(path.join(outputDir, 'chapters.vtt'), `WEBVTT\n\n${cues.join('\n\n')}\n`);
+    await fs.writeJson(path.join(outputDir, 'markers.json'), {
+      recordingId: recording.id,
+      duration: durationSec,
+      markers: this.getMarkers(recording),
+      chapters
+    }, { spaces: 2 });
+
+    const baseUrl = `/recordings/rooms/${this.roomId}/completed/${recording.id}`;
+    recording.chaptersUrl = `${baseUrl}/chapters.vtt`;
+    recording.markersUrl = `${baseUrl}/markers.json`;
+    logger(`📑 Wrote ${chapters.length} chapters for ${recording.id}`);
+    return metadataPath;
+  }
+
+  // Title/description tags and marker chapters into the MP4 in one stream-copy remux
+  async writeMetadata(recording, finalPath, durationSec) {
+    const chaptersPath = recording.markers.length > 0 ? await this.writeChapters(recording, durationSec) : null;
+    const tags = this.metadataTags(recording);
+    if (!chaptersPath && tags.length === 0) {
+      return;
+    }
+
+    const taggedPath = path.join(recording.tempDir, `tagged_${recording.filename}`);
+    await runFFmpeg([
+      '-i', finalPath,
+      ...(chaptersPath ? ['-f', 'ffmetadata', '-i', chaptersPath] : []),
+      '-map', '0',
+      '-map_metadata', '0',
+      ...(chaptersPath ? ['-map_chapters', '1'] : []),
+      ...tags,
+      '-c', 'copy',
+      ...this.containerArgs(recording),
       '-y',
-      outputFile
-    ];
+      taggedPath
+    ], { label: 'Metadata', durationSec });
+    await fs.move(taggedPath, finalPath, { overwrite: true });
+  }
+
+  closePause(recording, at) {
+    const pause = recording.pauses[recording.pauses.length - 1];
+    if (pause && !pause.end) {
+      pause.end = Math.max(at, pause.start);
+    }
+  }
 
-    const ffmpegProcess = spawn('ffmpeg', ffmpegArgs);
+  // Length of the "paused" card on the encoded timeline (0 when pauses are cut)
+  pauseCardDuration(recording) {
+    return recording.options.pauseMode === 'card' ? recording.options.pauseCardSeconds || this.pauseCardSeconds : 0;
+  }
 
-    ffmpegProcess.stdout.on('data', data => logger(`FFmpeg stdout: ${data}`));
-    ffmpegProcess.stderr.on('data', data => logger(`FFmpeg stderr: ${data}`));
+  // Seconds on the encoded timeline for a capture timestamp
+  timelineOffset(recording, timestamp, t0 = recording.stats.firstFrameTime) {
+    return toTimeline(recording.pauses, t0, timestamp, { cardSeconds: this.pauseCardDuration(recording) });
+  }
 
-    ffmpegProcess.on('error', err => {
-      logger('❌ Audio concat failed:', err.message);
-      reject(err);
-    });
+  // Still frame shown in place of a pause ('card' mode); webp so it concats with the captured frames
+  async renderPauseCard(recording) {
+    const cardPath = path.resolve(recording.tempDir, 'pause_card.webp');
+    if (await fs.pathExists(cardPath)) {
+      return cardPath;
+    }
 
-    ffmpegProcess.on('close', async code => {
-      if (code === 0) {
-        logger(`✅ Audio created: ${outputFile}`);
-        // Optional: clean up concat list
-        try { 
-          await fs.unlink(concatListPath); 
+    const width = Math.floor((recording.options.width || 1280) / 2) * 2;
+    const height = Math.floor((recording.options.height || 720) / 2) * 2;
+    const bar = 'w=ih/18:h=ih/4:color=white@0.85:t=fill';
 
-        } catch (err) {
-          logger(`⚠️ Failed to delete concat list: ${err.message}`);
-        }
-        resolve(outputFile);
+    await runFFmpeg([
+      '-f', 'lavfi',
+      '-i', `color=c=0x1f2937:s=${width}x${height}`,
+      '-vf', `drawbox=x=iw/2-ih/12:y=ih*3/8:${bar},drawbox=x=iw/2+ih/36:y=ih*3/8:${bar}`,
+      '-frames:v', '1',
+      '-c:v', 'libwebp',
+      '-y',
+      cardPath
+    ], { label: 'Pause card' });
+
+    return cardPath;
+  }
+
+  // nextFrame: first frame after this batch, so the batch's last frame keeps its real duration.
+  // Paused time between two frames is cut (or replaced by the pause card).
+  async generateAllVideoFile(recording, frameInfos, { listPath, nextFrame } = {}) {
+    const toPosix = (p) => path.resolve(p).replace(/\\/g, '/');
+    const concatFilePath = path.resolve(listPath || path.join(recording.tempDir, 'all_frames.txt'));
+    await fs.ensureDir(path.dirname(concatFilePath));
+
+    if (!frameInfos || frameInfos.length === 0) {
+      throw new Error('No frames provided for concat list');
+    }
+
+    // Calculate approximate FPS
+    let fps = recording.options.fps || 30;
+    if (frameInfos.length > 1) {
+      const first = frameInfos[0].timestamp;
+      const last = frameInfos[frameInfos.length - 1].timestamp;
+      const durationSec = (last - first - pausedBetween(recording.pauses, first, last)) / 1000;
+      if (durationSec > 0) {
+        fps = Math.min(Math.round(frameInfos.length / durationSec), 60);
+      }
+    }
+
+    const cardSeconds = this.pauseCardDuration(recording);
+    const lines = [];
+    for (let i = 0; i < frameInfos.length; i++) {
+      const curr = frameInfos[i];
+      const next = frameInfos[i + 1] || nextFrame;
+
+      let durSec;
+      if (next) {
+        const pausedMs = pausedBetween(recording.pauses, curr.timestamp, next.timestamp);
+        durSec = Math.max((next.timestamp - curr.timestamp - pausedMs) / 1000, 1 / fps);
       } else {
-        reject(new Error(`FFmpeg exited with code ${code}`));
+        durSec = 1 / fps;
       }
+
+      lines.push(`file '${toPosix(curr.path)}'`);
+      lines.push(`duration ${durSec.toFixed(6)}`);
+
+      const cards = next && cardSeconds ? pausesStartingBetween(recording.pauses, curr.timestamp, next.timestamp).length : 0;
+      for (let card = 0; card < cards; card++) {
+        lines.push(`file '${toPosix(await this.renderPauseCard(recording))}'`);
+        lines.push(`duration ${cardSeconds.toFixed(6)}`);
+      }
+    }
+
+    // FFmpeg requires the last frame to appear again without duration
+    lines.push(`file '${toPosix(frameInfos[frameInfos.length - 1].path)}'`);
+
+    fs.writeFileSync(concatFilePath, lines.join('\n'));
+    return concatFilePath;
+  } 
+
+
+
+
+  // Join one source's chunks and place it against the video. MediaRecorder timeslices are one
+  // continuous WebM stream (only the first chunk carries the header), so they are joined byte-wise.
+  async prepareAudioTrack(recording, chunks, { name, startedAt = null }) {
+    const sorted = chunks.slice().sort((a, b) => a.index - b.index);
+    if (sorted.length === 0) throw new Error('No audio chunks found');
+
+    const joinedPath = path.resolve(recording.tempDir, `${name}_joined.webm`);
+    await fs.remove(joinedPath);
+    for (const chunk of sorted) {
+      await fs.appendFile(joinedPath, await fs.readFile(chunk.path));
+    }
+
+    // A chunk's timestamp is when it was delivered, i.e. the end of the audio it holds
+    const intervals = sorted.slice(1)
+      .map((chunk, i) => (chunk.timestamp - sorted[i].timestamp) / (chunk.index - sorted[i].index))
+      .filter(interval => interval > 0)
+      .sort((a, b) => a - b);
+    const chunkMs = intervals.length > 0 ? intervals[Math.floor(intervals.length / 2)] : DEFAULT_AUDIO_CHUNK_MS;
+    const audioStart = startedAt || sorted[0].timestamp - chunkMs;
+
+    const recordedThroughPause = this.recordedThroughPause(recording, sorted);
+    const audioEnd = sorted[sorted.length - 1].timestamp;
+    const expectedMs = audioEnd - audioStart - (recordedThroughPause ? 0 : pausedBetween(recording.pauses, audioStart, audioEnd));
+    const contentSec = await this.measureAudioDuration(joinedPath, expectedMs / 1000);
+
+    return {
+      path: joinedPath,
+      audioStart,
+      recordedThroughPause,
+      chunkMs,
+      missingChunks: sorted[sorted.length - 1].index - sorted[0].index + 1 - sorted.length,
+      driftMs: contentSec === null ? null : Math.round(contentSec * 1000 - expectedMs)
+    };
+  }
+
+  // Decoded length of an audio file in seconds (null when it can't be read)
+  async measureAudioDuration(filePath, expectedSec) {
+    let measured = null;
+    try {
+      await runFFmpeg(['-i', filePath, '-map', '0:a:0', '-f', 'null', '-'], {
+        label: 'Audio probe',
+        durationSec: expectedSec || 1,
+        onProgress: (percent, progress) => { measured = progress.time; }
+      });
+    } catch (error) {
+      logger(`⚠️ Could not measure audio duration:`, error.message);
+    }
+    return measured;
+  }
+
+  // Filter chain putting a prepared track on the video's timeline: timestamp gaps (lost
+  // chunks) become silence, then the start is trimmed or delayed to line up with frame t0
+  audioTrackFilter(recording, track, t0) {
+    const filters = ['aresample=48000:async=1:first_pts=0'];
+    const offsetMs = Math.round(track.audioStart - t0);
+
+    if (offsetMs < 0) {
+      filters.push(`atrim=start=${(-offsetMs / 1000).toFixed(3)}`, 'asetpts=PTS-STARTPTS');
+    }
+
+    const pauseFilter = audioPauseFilter(recording.pauses, Math.max(track.audioStart, t0), {
+      cut: track.recordedThroughPause,
+      cardSeconds: this.pauseCardDuration(recording)
     });
-  });
-}
+    if (pauseFilter) {
+      filters.push(pauseFilter);
+    }
 
+    if (offsetMs > 0) {
+      filters.push(`adelay=${Math.round(this.timelineOffset(recording, track.audioStart, t0) * 1000)}:all=1`);
+    }
 
+    return filters.join(',');
+  }
 
+  syncStats(track, t0) {
+    const stats = {
+      offsetMs: Math.round(track.audioStart - t0),
+      driftMs: track.driftMs,
+      missingChunks: track.missingChunks,
+      chunkMs: track.chunkMs
+    };
 
-async stopRecording(withAudio = true) {
- 
-    if (!this.activeRecording) {
-      // Check if there are any recordings in the map
-      const allRecordings = Array.from(this.recordings.values());
-      logger(`   - total recordings: ${allRecordings.length}`, allRecordings.length);
-      const recentRecordings = allRecordings.filter(r => 
-        r.roomId === this.roomId && 
-        (r.status === 'recording' || r.status === 'paused' || r.status === 'stopping')
-      );
-      
-      if (recentRecordings.length > 0) {
-        logger(`⚠️ Found ${recentRecordings.length} recordings in map, using most recent`);
-        this.activeRecording = recentRecordings[recentRecordings.length - 1];
-        this.recordingId = this.activeRecording.id;
-      } else {
-        logger(`❌ No active recording found for room ${this.roomId}`);
-        logger(`   Total recordings in map: ${allRecordings.length}`);
-        
-        if (allRecordings.length > 0) {
-          const roomRecordings = allRecordings.filter(r => r.roomId === this.roomId);
-          logger(`   Room recordings: ${roomRecordings.length}`);
-          if (roomRecordings.length > 0) {
-            logger(`   Last recording status: ${roomRecordings[roomRecordings.length - 1].status}`);
-            // If there's a completed recording, just return it
-            const lastRecording = roomRecordings[roomRecordings.length - 1];
-            if (lastRecording.status === 'completed' || lastRecording.status === 'failed') {
-              logger(`ℹ️ Returning last completed recording`);
-              return lastRecording;
-            }
-          }
-        }
-        
-        throw new Error('No active recording');
+    if (Math.abs(track.driftMs || 0) > AUDIO_DRIFT_WARN_MS || track.missingChunks > 0) {
+      logger(`⚠️ Audio sync: offset ${stats.offsetMs}ms, drift ${stats.driftMs}ms, ${stats.missingChunks} missing chunks`);
+    }
+    return stats;
+  }
+
+  // Single-track audio aligned to the frames and encoded to AAC (.m4a)
+  async encodeAudioTrack(recording, { durationSec, onProgress } = {}) {
+    const outputFile = path.join(recording.tempDir, 'audio.m4a');
+
+    const track = await this.prepareAudioTrack(recording, recording.audioFiles, {
+      name: 'audio',
+      startedAt: recording.stats.audioStartTime
+    });
+
+    // Audio recordings are timed by the track itself; markers and pauses follow it
+    if (recording.type === RECORDING_TYPES.audio) {
+      recording.stats.firstFrameTime = track.audioStart;
+    }
+    const t0 = recording.stats.firstFrameTime;
+    recording.stats.sync = this.syncStats(track, t0);
+
+    logger(`🎵 Encoding ${recording.audioFiles.length} WebM audio chunks (offset ${recording.stats.sync.offsetMs}ms)`);
+
+    await runFFmpeg([
+      '-i', track.path,
+      '-af', this.audioTrackFilter(recording, track, t0),
+      ...this.intermediateAudioArgs(recording),
+      '-ar', '48000',
+      '-ac', '2',
+      '-movflags', '+faststart',
+      '-y',
+      outputFile
+    ], { label: 'Audio encode', durationSec, onProgress });
+    logger(`✅ Audio created: ${outputFile}`);
+
+    await fs.remove(track.path);
+    return outputFile;
+  }
+
+
+
+
+async stopRecording(recordingId = null, withAudio = true, options = {}) {
+
+    // Stop without an id after everything already finished: hand back the latest result
+    if (!recordingId && this.getActiveRecordings().length === 0) {
+      const lastRecording = this.getCurrentRecording();
+      if (lastRecording && (lastRecording.status === 'completed' || lastRecording.status === 'failed')) {
+        logger(`ℹ️ Returning last completed recording`);
+        return lastRecording;
       }
     }
 
-    logger(`🛑 Stopping recording in room ${this.roomId}: ${this.activeRecording.id}`);
+    const recording = this.resolveRecording(recordingId);
+    logger(`🛑 Stopping recording in room ${this.roomId}: ${recording.id}`);
 
     
     // If caller passed withAudio=false but we actually have audio files, force enable
-    if (!withAudio && this.activeRecording.audioFiles.length > 0 && this.activeRecording.options.withAudio !== false) {
-      logger(`⚠️ Override: enabling audio because ${this.activeRecording.audioFiles.length} chunks are present`);
+    if (!withAudio && recording.audioFiles.length > 0 && recording.options.withAudio !== false) {
+      logger(`⚠️ Override: enabling audio because ${recording.audioFiles.length} chunks are present`);
       withAudio = true;
 
     }
     
     // Prevent duplicate stop requests
-    if (this.activeRecording.status === 'stopping') {
+    if (['stopping', 'queued', 'processing'].includes(recording.status)) {
       logger(`⚠️ Recording is already stopping, please wait...`);
       throw new Error('Recording is already being stopped');
     }
     
-    if (this.activeRecording.status === 'completed') {
+    if (recording.status === 'completed') {
       logger(`ℹ️ Recording already completed`);
-      return this.activeRecording;
+      return recording;
+    }
+
+    recording.stoppedAt = new Date();
+    this.closePause(recording, recording.stoppedAt.getTime());
+
+    // Hand encoding to the background queue; the caller gets the job id right away
+    if (this.jobQueue) {
+      recording.status = 'queued';
+      const job = this.jobQueue.enqueue('finalize-recording', {
+        roomId: this.roomId,
+        recordingId: recording.id,
+        withAudio
+      }, { priority: options.priority || 0 });
+      recording.jobId = job.id;
+      const queuedRecording = { ...recording };
+      await this.persist(recording);
+
+      logger(`📥 Recording ${recording.id} queued for processing (job ${job.id})`);
+      return queuedRecording;
+    }
+
+    return this.finalizeRecording(recording.id, withAudio);
+  }
+
+  // Encode, mux and thumbnail a stopped recording. Runs inline or as a queue job.
+  async finalizeRecording(recordingId, withAudio = true, context = {}) {
+    const recording = this.recordings.get(recordingId);
+
+    if (!recording) {
+      throw new Error(`Recording ${recordingId} not found in room ${this.roomId}`);
+    }
+
+    if (recording.status === 'completed') {
+      return recording;
     }
-    
-    this.activeRecording.status = 'stopping';
+
+    recording.status = 'processing';
+    recording.error = null;
+    this.persist(recording);
 
     try {
+
+    // Let a background segment encode finish before touching the frames
+    await recording.segmentChain;
+
+    // Frame index is in-memory only; after a restart rebuild it from the temp dir
+    if (recording.frameFiles.length === 0 && recording.segments.length === 0) {
+      await this.rebuildMediaIndex(recording);
+    }
       
-    const sortedFrameInfos = this.activeRecording.frameFiles.sort((a, b) => a.frameNumber - b.frameNumber);
+    const sortedFrameInfos = recording.frameFiles.sort((a, b) => a.frameNumber - b.frameNumber);
 
      const validFrameInfos = [];
       for (const frameInfo of sortedFrameInfos) {
@@ -541,31 +1750,79 @@ async stopRecording(withAudio = true) {
         }
       }
 
-      if (validFrameInfos.length === 0) {
+      const audioOnly = recording.type === RECORDING_TYPES.audio;
+      if (audioOnly && recording.audioFiles.length === 0) {
+        throw new Error('No audio chunks received');
+      }
+      if (!audioOnly && validFrameInfos.length === 0 && recording.segments.length === 0) {
         throw new Error('No valid frame files found');
       }
 
-      // Build video from frames
-      const videoPath = await this.encodeFramesToVideo(this.activeRecording, validFrameInfos, true);
-      logger(`✅ Video created: ${videoPath}`);
+      const durationSec = Math.max(this.timelineOffset(recording, recording.stats.lastFrameTime), 1) || 1;
+      const progressFor = (stage) => (percent) => this.reportProcessing(recording, stage, percent, context);
+
+      // Build video from frames (skipped by audio-only profiles)
+      const hasVideo = !!this.encodingFor(recording).video;
+      recording.processing = { startedAt: Date.now() };
+      this.reportProcessing(recording, 'video', 0, context);
+      let videoPath = null;
+      if (!hasVideo) {
+        logger(`ℹ️ ${recording.options.profile} profile: no video track`);
+      } else if (recording.options.composite) {
+        videoPath = await this.encodeComposite(recording, validFrameInfos, progressFor('video'));
+      } else if (recording.segments.length > 0) {
+        videoPath = await this.encodeSegmentedVideo(recording, validFrameInfos, progressFor('video'));
+      } else {
+        videoPath = await this.encodeFramesToVideo(recording, validFrameInfos, progressFor('video'));
+      }
+      if (videoPath) {
+        logger(`✅ Video created: ${videoPath}`);
+      }
 
       // Try to build audio (may fail if all audio files were corrupted)
       let audioPath = null;
-      try {
-        audioPath = await this.concatWavToAac();
-        logger(`✅ Audio created: ${audioPath}`);
-      } catch (audioError) {
-        logger(`⚠️ Audio processing failed: ${audioError.message}`);
-        logger(`ℹ️ Continuing with video-only output`);
+      if (withAudio || audioOnly) {
+        this.reportProcessing(recording, 'audio', 0, context);
+        try {
+          audioPath = recording.options.composite
+            ? await this.mixParticipantAudio(recording, { durationSec, onProgress: progressFor('audio') })
+            : await this.encodeAudioTrack(recording, { durationSec, onProgress: progressFor('audio') });
+          logger(`✅ Audio created: ${audioPath}`);
+        } catch (audioError) {
+          if (!hasVideo) {
+            throw audioError;
+          }
+          logger(`⚠️ Audio processing failed: ${audioError.message}`);
+          logger(`ℹ️ Continuing with video-only output`);
+        }
+      }
+
+      if (!hasVideo && !audioPath) {
+        throw new Error('No audio to encode for an audio-only profile');
+      }
+
+      if (audioPath) {
+        this.reportProcessing(recording, 'audioProcessing', 0, context);
+        try {
+          audioPath = await this.processAudio(recording, audioPath, {
+            hasVideo,
+            durationSec,
+            onProgress: progressFor('audioProcessing')
+          });
+        } catch (processingError) {
+          logger(`⚠️ Audio processing failed: ${processingError.message}`);
+          logger(`ℹ️ Continuing with the unprocessed audio`);
+        }
       }
 
       // Mux video and audio if both exist
       const roomStorage = path.resolve(this.storagePath, 'rooms', this.roomId);
-      const finalPath = path.resolve(roomStorage, 'completed', this.activeRecording.filename);
+      const finalPath = path.resolve(roomStorage, 'completed', recording.filename);
       
       if (audioPath && await fs.pathExists(audioPath)) {
        
-        await this.muxVideoAndAudio(videoPath, audioPath, finalPath);
+        this.reportProcessing(recording, 'mux', 0, context);
+        await this.muxVideoAndAudio(recording, videoPath, audioPath, finalPath, { durationSec, onProgress: progressFor('mux') });
         logger(`✅ Final video with audio: ${finalPath}`);
       } else {
         logger(`ℹ️ Using video-only output (no audio)`);
@@ -574,31 +1831,97 @@ async stopRecording(withAudio = true) {
         logger(`✅ Moved video-only to: ${finalPath}`);
       }
       
-      this.activeRecording.fileUrl = `/recordings/rooms/${this.roomId}/completed/${this.activeRecording.filename}`;
+      recording.fileUrl = `/recordings/rooms/${this.roomId}/completed/${recording.filename}`;
 
-      await this.generateThumbnail(this.activeRecording);
+      if (recording.options.detectIdle) {
+        this.reportProcessing(recording, 'idle', 0, context);
+        try {
+          // Frame sizes cover the whole capture only for a single, unsegmented stream
+          const frames = recording.options.composite || recording.segments.length > 0 ? null : validFrameInfos;
+          recording.stats.idle = await this.detectIdle(recording, finalPath, {
+            frames,
+            hasVideo,
+            hasAudio: !!audioPath,
+            durationSec,
+            onProgress: progressFor('idle')
+          });
+        } catch (idleError) {
+          logger(`⚠️ Idle detection failed: ${idleError.message}`);
+        }
+      }
 
-      this.activeRecording.status = 'completed';
-      this.activeRecording.completedAt = new Date();
+      if (audioPath && recording.options.transcribe && this.canTranscribe()) {
+        this.reportProcessing(recording, 'transcript', 0, context);
+        try {
+          await this.transcribeRecording(recording, audioPath, finalPath, {
+            durationSec,
+            onProgress: progressFor('transcript')
+          });
+        } catch (transcriptError) {
+          logger(`⚠️ Transcription failed: ${transcriptError.message}`);
+          recording.transcript = { status: 'failed', engine: this.transcriber.engine, error: transcriptError.message };
+        }
+      }
+
+      try {
+        await this.writeMetadata(recording, finalPath, durationSec);
+      } catch (metadataError) {
+        logger(`⚠️ Writing metadata and chapters failed: ${metadataError.message}`);
+      }
+
+      // Optional adaptive-bitrate copy for remote playback
+      if (recording.options.hls && hasVideo) {
+        this.reportProcessing(recording, 'hls', 0, context);
+        try {
+          await this.packageHls(recording, finalPath, {
+            hasAudio: !!audioPath,
+            durationSec,
+            onProgress: progressFor('hls')
+          });
+        } catch (hlsError) {
+          logger(`⚠️ HLS packaging failed: ${hlsError.message}`);
+        }
+      }
 
-      const completedRecording = { ...this.activeRecording };
+      this.reportProcessing(recording, 'thumbnail', 0, context);
+      await this.generateThumbnail(recording);
+      this.reportProcessing(recording, 'thumbnail', 100, context);
 
-      const duration = (this.activeRecording.completedAt - this.activeRecording.startedAt) / 1000;
-      this.activeRecording.stats.duration = Math.round(duration);
+      await this.publishOutputs(recording);
+
+      recording.status = 'completed';
+      recording.processing = { ...recording.processing, stage: 'done', stagePercent: 100, percent: 100, eta: 0 };
+      recording.completedAt = new Date();
+
+      const duration = ((recording.stoppedAt || recording.completedAt) - recording.startedAt) / 1000;
+      recording.stats.duration = Math.round(duration);
+      await this.persist(recording);
+
+      const completedRecording = { ...recording };
+
+      // Frames, segments and audio chunks are no longer needed once the output exists
+      try {
+        await this.cleanupTempFiles(recording);
+        recording.frameFiles = [];
+        recording.audioFiles = [];
+        recording.segments = [];
+      } catch (cleanupError) {
+        logger(`⚠️ Temp cleanup failed for ${recording.id}: ${cleanupError.message}`);
+      }
 
       logger(`✅ Recording completed in room ${this.roomId}`);
-      logger(`📊 Stats: ${validFrameInfos.length} frames, ${this.activeRecording.stats.audioChunksReceived} audio chunks, ${duration}s duration`);
-      logger(`📁 File URL: ${this.activeRecording.fileUrl}`, completedRecording);
+      logger(`📊 Stats: ${recording.stats.framesWritten} frames, ${recording.segments.length} segments, ${recording.stats.audioChunksReceived} audio chunks, ${duration}s duration`);
+      logger(`📁 File URL: ${recording.fileUrl}`, completedRecording);
       return completedRecording;
 
     } catch (error) {
       logger('❌ Error stopping recording:', error);
      
 
-      if (this.activeRecording) {
-        this.activeRecording.status = 'failed';
-        this.activeRecording.error = error.message;
-      }
+      // Stays queued while the queue has attempts left; failed once it gives up
+      recording.status = willRetry(context) ? 'queued' : 'failed';
+      recording.error = error.message;
+      await this.persist(recording);
 
       throw error;
     }
@@ -606,7 +1929,7 @@ async stopRecording(withAudio = true) {
 
 
 
-async encodeFramesToVideo(recording, frameInfos) {
+async encodeFramesToVideo(recording, frameInfos, onProgress) {
   const toPosix = (p) => path.resolve(p).replace(/\\/g, '/');
   const roomStorage = path.resolve(this.storagePath, 'rooms', this.roomId);
   const outputPath = path.resolve(roomStorage, 'temp', recording.id, recording.filename);
@@ -615,65 +1938,435 @@ async encodeFramesToVideo(recording, frameInfos) {
   await fs.ensureDir(path.join(roomStorage, 'temp', recording.id));
 
   // Step 1: Only build video from images (no audio)
-  return new Promise(async (resolve, reject) => {
-    try {
-      const allFramesListPath = await this.generateAllVideoFile(recording, frameInfos); 
-
-      // Build video from frames (no audio)
-      const ffmpegArgs = [
-        '-f', 'concat', 
-        '-safe', '0', 
-        '-i', toPosix(allFramesListPath),
-        '-c:v', 'libx264', 
-       // '-r', String(recording.options.fps), // FPS from the recording options
-        '-pix_fmt', 'yuv420p', 
-        '-preset', 'veryfast', 
-        '-crf', '23', 
-        '-y', 
-        outputPath
-      ];
+  try {
+    const allFramesListPath = await this.generateAllVideoFile(recording, frameInfos); 
+
+    // Build video from frames (no audio)
+    const ffmpegArgs = [
+      '-f', 'concat', 
+      '-safe', '0', 
+      '-i', toPosix(allFramesListPath),
+      '-vf', this.videoFilters(recording).join(','),
+      ...this.videoEncodeArgs(recording),
+      ...this.containerArgs(recording), // mp4: moov atom first so playback starts before the whole file arrives
+      '-y', 
+      outputPath
+    ];
 
-      // Spawn FFmpeg process
-      const ffmpegProcess = spawn('ffmpeg', ffmpegArgs);
+    await runFFmpeg(ffmpegArgs, {
+      label: 'Video encode',
+      totalFrames: frameInfos.length,
+      onProgress
+    });
+  } catch (error) {
+    logger('❌ Video encoding failed:', error.message);
+    throw error;
+  }
+
+  logger('\n✅ Video encoding complete');
+  recording.fileUrl = `/recordings/rooms/${this.roomId}/completed/${recording.filename}`;
+  
+  // Check file size once encoding is done
+  const stats = await fs.stat(outputPath);
+  const sizeMB = (stats.size / (1024 * 1024)).toFixed(2);
+  logger(`📁 Output: ${sizeMB}MB at ${outputPath}`);
+  return outputPath;
+}
 
-      ffmpegProcess.stdout.on('data', (data) => {
-        process.stdout.write(`FFmpeg stdout: ${data}`);
+  // Lay every participant's frames out on one canvas (grid / speaker / pip)
+  async encodeComposite(recording, frameInfos, onProgress) {
+    const outputPath = path.resolve(recording.tempDir, recording.filename);
+    const fps = recording.options.fps || 30;
+    const { width, height, layout } = recording.options;
+
+    const byParticipant = new Map();
+    for (const frame of frameInfos) {
+      if (!byParticipant.has(frame.participantId)) {
+        byParticipant.set(frame.participantId, []);
+      }
+      byParticipant.get(frame.participantId).push(frame);
+    }
+
+    // Order of appearance, with the main participant first (pip main view, default speaker)
+    const participantIds = Array.from(byParticipant.keys())
+      .sort((a, b) => byParticipant.get(a)[0].timestamp - byParticipant.get(b)[0].timestamp);
+    const mainIndex = participantIds.indexOf(recording.options.mainParticipantId);
+    if (mainIndex > 0) {
+      participantIds.unshift(...participantIds.splice(mainIndex, 1));
+    }
+
+    const t0 = Math.min(...frameInfos.map(frame => frame.timestamp));
+    const end = Math.max(...frameInfos.map(frame => frame.timestamp));
+    const duration = Math.max(this.timelineOffset(recording, end, t0) + 1 / fps, 1);
+    recording.compositeStartTime = t0;
+
+    const args = [];
+    const inputs = [];
+    for (const [index, participantId] of participantIds.entries()) {
+      const frames = byParticipant.get(participantId);
+      const listPath = await this.generateAllVideoFile(recording, frames, {
+        listPath: path.join(recording.tempDir, `frames_${participantId}.txt`)
       });
+      args.push('-f', 'concat', '-safe', '0', '-i', listPath);
+      inputs.push({ index, participantId, offset: this.timelineOffset(recording, frames[0].timestamp, t0) });
+    }
+
+    // Speaker changes moved onto the pause-adjusted timeline (speakerTimeline works from t0)
+    const speakerEvents = recording.speakerEvents.map(event => ({
+      ...event,
+      timestamp: t0 + this.timelineOffset(recording, event.timestamp, t0) * 1000
+    }));
+    const timeline = speakerTimeline(speakerEvents, t0, duration, participantIds[0]);
+    const cells = layoutCells(layout, participantIds, { width, height, timeline });
+    const { filter, output } = buildCompositeFilter({ inputs, cells, width, height, fps, duration });
+
+    logger(`🧩 Compositing ${participantIds.length} participants (${layout}) for ${recording.id}`);
+    await runFFmpeg([
+      ...args,
+      '-filter_complex', `${filter};[${output}]${this.videoFilters(recording).join(',')}[out]`,
+      '-map', '[out]',
+      ...this.videoEncodeArgs(recording),
+      '-t', duration.toFixed(3),
+      ...this.containerArgs(recording),
+      '-y',
+      outputPath
+    ], { label: 'Composite', durationSec: duration, onProgress });
+
+    return outputPath;
+  }
+
+  // One track from every participant's audio chunks, each delayed to where it started
+  async mixParticipantAudio(recording, { durationSec, onProgress } = {}) {
+    const outputFile = path.join(recording.tempDir, 'audio.m4a');
+    const t0 = recording.compositeStartTime || recording.stats.firstFrameTime;
+
+    const byParticipant = new Map();
+    for (const chunk of recording.audioFiles) {
+      if (!byParticipant.has(chunk.participantId)) {
+        byParticipant.set(chunk.participantId, []);
+      }
+      byParticipant.get(chunk.participantId).push(chunk);
+    }
 
-      ffmpegProcess.stderr.on('data', (data) => {
-        process.stderr.write(`FFmpeg stderr: ${data}`);
+    if (byParticipant.size === 0) throw new Error('No audio chunks found');
+
+    const args = [];
+    const filters = [];
+    const tracks = {};
+    const joinedPaths = [];
+    const cleanup = this.participantAudioFilters(recording);
+    let index = 0;
+    for (const [participantId, chunks] of byParticipant) {
+      const track = await this.prepareAudioTrack(recording, chunks, {
+        name: `audio_${participantId}`,
+        startedAt: (recording.participants[participantId] || {}).audioStartTime
       });
+      tracks[participantId] = this.syncStats(track, t0);
+      joinedPaths.push(track.path);
+      args.push('-i', track.path);
+      filters.push(`[${index}:a]${[this.audioTrackFilter(recording, track, t0), ...cleanup].join(',')}[a${index}]`);
+      index++;
+    }
+    recording.stats.sync = {
+      driftMs: Math.max(...Object.values(tracks).map(track => Math.abs(track.driftMs || 0))),
+      tracks
+    };
+
+    const labels = filters.map((filter, i) => `[a${i}]`).join('');
+    filters.push(`${labels}amix=inputs=${index}:duration=longest:dropout_transition=0:normalize=0[aout]`);
+
+    logger(`🎵 Mixing audio from ${index} participants${cleanup.length > 0 ? ` (per-track ${cleanup.join(',')})` : ''}`);
+    await runFFmpeg([
+      ...args,
+      '-filter_complex', filters.join(';'),
+      '-map', '[aout]',
+      ...this.intermediateAudioArgs(recording),
+      '-ar', '48000',
+      '-ac', '2',
+      '-movflags', '+faststart',
+      '-y',
+      outputFile
+    ], { label: 'Audio mix', durationSec, onProgress });
+    logger(`✅ Mixed audio created: ${outputFile}`);
+
+    await Promise.all(joinedPaths.map(joinedPath => fs.remove(joinedPath)));
+    return outputFile;
+  }
+
+  // Composite mixes denoise and level every participant before mixing, so quiet and loud
+  // microphones end up alike; the mix itself is normalized again in processAudio
+  participantAudioFilters(recording) {
+    const settings = recording.options.audioProcessing;
+    if (!settings) return [];
+    return [
+      ...(settings.denoise ? denoiseFilters() : []),
+      ...(settings.loudnorm ? [loudnormFilter(settings), 'aresample=48000'] : [])
+    ];
+  }
+
+  // Clean-up stage between the audio encode and the mux (options.audioProcessing): denoise,
+  // two-pass EBU R128 loudnorm, start/end silence trim and mono downmix. Resolves the path
+  // of the audio to mux. Silence is only trimmed without video, where it can't cause drift.
+  async processAudio(recording, audioPath, { hasVideo = true, durationSec, onProgress } = {}) {
+    const settings = recording.options.audioProcessing;
+    if (!isAudioProcessingEnabled(settings)) {
+      return audioPath;
+    }
 
-      ffmpegProcess.on('error', (err) => {
-        logger('❌ Video encoding failed:', err.message);
-        reject(err);
+    const filters = settings.denoise && !recording.options.composite ? denoiseFilters() : [];
+    const trim = settings.trimSilence && !hasVideo;
+    const result = { ...settings, measured: null, trimmed: null };
+    let bounds = { start: 0, end: null };
+
+    // Analysis pass: loudness measurement and silence detection in one decode
+    if (settings.loudnorm || trim) {
+      const lines = [];
+      let analyzedSec = durationSec;
+      await runFFmpeg([
+        '-i', audioPath,
+        '-af', [
+          ...filters,
+          ...(trim ? [silenceDetectFilter()] : []),
+          ...(settings.loudnorm ? [loudnormFilter(settings, { analyze: true })] : [])
+        ].join(','),
+        '-f', 'null', '-'
+      ], {
+        label: 'Audio analysis',
+        durationSec,
+        onProgress: (percent, progress) => {
+          analyzedSec = progress.time || analyzedSec;
+          if (onProgress) onProgress(percent / 2);
+        },
+        onOutput: line => lines.push(line)
       });
 
-      ffmpegProcess.on('close', async (code) => {
-        if (code === 0) {
-          logger('\n✅ Video encoding complete');
-          recording.fileUrl = `/recordings/rooms/${this.roomId}/completed/${recording.filename}`;
-          
-          // Check file size once encoding is done
-          try {
-            const stats = await fs.stat(outputPath);
-            const sizeMB = (stats.size / (1024 * 1024)).toFixed(2);
-            logger(`📁 Output: ${sizeMB}MB at ${outputPath}`);
-            resolve(outputPath);
-          } catch (error) {
-            reject(error);
-          }
-        } else {
-          reject(new Error(`FFmpeg exited with code ${code}`));
-        }
+      result.measured = settings.loudnorm ? parseLoudnorm(lines) : null;
+      if (trim) {
+        bounds = silenceBounds(lines, analyzedSec);
+      }
+    }
+
+    const chain = [...filters];
+    if (bounds.start > 0 || bounds.end !== null) {
+      chain.push(`atrim=start=${bounds.start.toFixed(3)}${bounds.end !== null ? `:end=${bounds.end.toFixed(3)}` : ''}`, 'asetpts=PTS-STARTPTS');
+      result.trimmed = { start: Math.round(bounds.start * 1000) / 1000, end: bounds.end !== null ? Math.round(bounds.end * 1000) / 1000 : null };
+    }
+    // Without a usable measurement (e.g. silence only) loudnorm falls back to one dynamic pass
+    if (settings.loudnorm) {
+      chain.push(loudnormFilter(settings, { measured: result.measured }), 'aresample=48000');
+    }
+
+    if (chain.length === 0 && !settings.mono) {
+      return audioPath;
+    }
+
+    const outputFile = path.join(recording.tempDir, 'audio_processed.m4a');
+    await runFFmpeg([
+      '-i', audioPath,
+      ...(chain.length > 0 ? ['-af', chain.join(',')] : []),
+      ...this.intermediateAudioArgs(recording),
+      '-ar', '48000',
+      '-ac', settings.mono ? '1' : '2',
+      '-movflags', '+faststart',
+      '-y',
+      outputFile
+    ], {
+      label: 'Audio processing',
+      durationSec,
+      onProgress: onProgress ? (percent) => onProgress(settings.loudnorm || trim ? 50 + percent / 2 : percent) : undefined
+    });
+
+    // Audio-only timeline now starts at the first kept sample; markers and chapters follow
+    if (bounds.start > 0) {
+      recording.stats.firstFrameTime += Math.round(bounds.start * 1000);
+    }
+
+    recording.stats.audioProcessing = result;
+    await fs.remove(audioPath);
+    logger(`🎚️ Audio processed (${[
+      settings.denoise && 'denoise',
+      settings.loudnorm && `loudnorm ${settings.loudnessTarget} LUFS${result.measured ? ` from ${result.measured.input_i}` : ''}`,
+      result.trimmed && `trim ${result.trimmed.start}s-${result.trimmed.end === null ? 'end' : `${result.trimmed.end}s`}`,
+      settings.mono && 'mono'
+    ].filter(Boolean).join(', ')})`);
+    return outputFile;
+  }
+
+  // Idle stretches (screen unchanged and no speech) of an output file, in its own timeline.
+  // frames: the capture's frame index when complete, else the screen is diffed by freezedetect.
+  async detectIdle(recording, filePath, { frames = null, hasVideo = true, hasAudio = true, durationSec, onProgress } = {}) {
+    const minSeconds = this.idleMinSeconds;
+    const freeze = hasVideo && !frames;
+    let still = null;
+    let silence = null;
+
+    if (hasVideo && frames) {
+      still = stillFrameRuns(frames, { minSeconds }).map(run => ({
+        start: Math.round(this.timelineOffset(recording, run.startTime) * 1000) / 1000,
+        end: Math.round(this.timelineOffset(recording, run.endTime) * 1000) / 1000
+      }));
+    }
+
+    if (freeze || hasAudio) {
+      const lines = [];
+      await runFFmpeg([
+        '-i', filePath,
+        ...(freeze ? ['-map', '0:v:0', '-vf', freezeDetectFilter({ minSeconds })] : []),
+        ...(hasAudio ? ['-map', '0:a:0', '-af', longSilenceFilter({ minSeconds })] : []),
+        '-f', 'null', '-'
+      ], { label: 'Idle detection', durationSec, onProgress, onOutput: line => lines.push(line) });
+
+      if (freeze) {
+        still = detectedIntervals(lines, 'freeze', durationSec);
+      }
+      if (hasAudio) {
+        silence = detectedIntervals(lines, 'silence', durationSec);
+      }
+    }
+
+    const intervals = idleIntervals({ still, silence, minSeconds });
+    const idle = {
+      screen: hasVideo ? (freeze ? 'freezedetect' : 'frame-size') : null,
+      minSeconds,
+      duration: Math.round(durationSec * 1000) / 1000,
+      totalSeconds: Math.round(intervals.reduce((total, interval) => total + interval.end - interval.start, 0) * 1000) / 1000,
+      intervals,
+      still,
+      silence,
+      detectedAt: new Date().toISOString()
+    };
+
+    logger(`💤 ${intervals.length} idle stretches (${idle.totalSeconds}s of ${idle.duration}s) in ${recording.id}`);
+    return idle;
+  }
+
+  // Profile snapshot taken at start; catalog entries from before profiles were 'standard'
+  encodingFor(recording) {
+    return recording.options.encoding || { name: 'standard', ...BUILTIN_PROFILES.standard };
+  }
+
+  // Codec settings shared by full encodes and background segments (segments must match to concat)
+  videoEncodeArgs(recording) {
+    return videoCodecArgs(this.encodingFor(recording), { quality: recording.options.quality });
+  }
+
+  // Size cap and output frame rate, applied where frames become video
+  videoFilters(recording) {
+    return videoFilters(this.encodingFor(recording), { captureFps: recording.options.fps || 30 });
+  }
+
+  containerArgs(recording) {
+    return containerOf(this.encodingFor(recording)).muxArgs;
+  }
+
+  // audio.m4a is AAC; at the profile's bitrate when the output keeps AAC (then muxed as is)
+  intermediateAudioArgs(recording) {
+    const { audio } = this.encodingFor(recording);
+    return ['-c:a', 'aac', '-b:a', audio.codec === 'aac' && audio.bitrate ? audio.bitrate : '192k'];
+  }
+
+  // Audio as written to the output: stream copy of the AAC intermediate, or re-encoded
+  audioOutputArgs(recording) {
+    const encoding = this.encodingFor(recording);
+    return encoding.audio.codec === 'aac' ? ['-c:a', 'copy'] : audioCodecArgs(encoding);
+  }
+
+  // Cut a segment once the pending frames span segmentDuration. The newest frame stays
+  // pending: it marks where the segment's last frame ends.
+  maybeEncodeSegment(recording) {
+    const pending = recording.frameFiles;
+
+    if (!this.segmentDuration || recording.segmentingDisabled || recording.options.composite || pending.length < 2 ||
+        !this.encodingFor(recording).video ||
+        recording.status !== 'recording') {
+      return;
+    }
+
+    const spanMs = pending[pending.length - 1].timestamp - pending[0].timestamp;
+    if (spanMs < this.segmentDuration * 1000) {
+      return;
+    }
+
+    const batch = pending.splice(0, pending.length - 1);
+    const nextFrame = pending[0];
+
+    recording.segmentChain = recording.segmentChain
+      .then(() => this.encodeSegment(recording, batch, nextFrame))
+      .catch((error) => {
+        // Fall back to encoding these frames at stop time
+        logger(`⚠️ Segment encode failed for ${recording.id}, finishing at stop instead:`, error.message);
+        recording.segmentingDisabled = true;
+        recording.frameFiles.unshift(...batch);
       });
-      
-    } catch (error) {
-      logger('❌ Encoding setup error:', error);
-      reject(error);
+  }
+
+  async encodeSegment(recording, frameInfos, nextFrame = null, onProgress) {
+    const segmentsDir = path.join(recording.tempDir, 'segments');
+    const index = recording.segments.length;
+    const name = `segment_${String(index).padStart(4, '0')}`;
+    const outputPath = path.join(segmentsDir, `${name}.${containerOf(this.encodingFor(recording)).extension}`);
+
+    await fs.ensureDir(segmentsDir);
+    const listPath = await this.generateAllVideoFile(recording, frameInfos, {
+      listPath: path.join(segmentsDir, `${name}.txt`),
+      nextFrame
+    });
+
+    await runFFmpeg([
+      '-f', 'concat',
+      '-safe', '0',
+      '-i', listPath,
+      '-vf', this.videoFilters(recording).join(','),
+      ...this.videoEncodeArgs(recording),
+      '-y',
+      outputPath
+    ], { label: `Segment ${index}`, totalFrames: frameInfos.length, onProgress });
+
+    recording.segments.push({
+      index,
+      path: outputPath,
+      firstFrameNumber: frameInfos[0].frameNumber,
+      lastFrameNumber: frameInfos[frameInfos.length - 1].frameNumber,
+      startTime: frameInfos[0].timestamp,
+      endTime: nextFrame ? nextFrame.timestamp : frameInfos[frameInfos.length - 1].timestamp,
+      frameCount: frameInfos.length
+    });
+
+    // Manifest first, then delete: a crash in between only leaves stale frames behind
+    await fs.writeJson(path.join(segmentsDir, 'segments.json'), recording.segments, { spaces: 2 });
+    await fs.remove(listPath);
+    await Promise.all(frameInfos.map(frame => fs.remove(frame.path)));
+
+    logger(`🧩 Segment ${index} encoded for ${recording.id}: ${frameInfos.length} frames`);
+    return outputPath;
+  }
+
+  // Stop-time path when segments exist: encode the tail, then stream-copy everything together
+  async encodeSegmentedVideo(recording, frameInfos, onProgress) {
+    const outputPath = path.resolve(recording.tempDir, recording.filename);
+
+    if (frameInfos.length > 0) {
+      await this.encodeSegment(recording, frameInfos, null, (percent) => onProgress && onProgress(percent * 0.9));
     }
-  });
-}
+
+    const listPath = path.join(recording.tempDir, 'segments', 'segments.txt');
+    const lines = recording.segments.map(segment => `file '${path.resolve(segment.path).replace(/\\/g, '/')}'`);
+    await fs.writeFile(listPath, lines.join('\n'));
+
+    logger(`🧩 Joining ${recording.segments.length} segments for ${recording.id}`);
+    await runFFmpeg([
+      '-f', 'concat',
+      '-safe', '0',
+      '-i', listPath,
+      '-c', 'copy',
+      ...this.containerArgs(recording),
+      '-y',
+      outputPath
+    ], { label: 'Segment concat' });
+
+    if (onProgress) onProgress(99);
+    return outputPath;
+  }
 
   async generateThumbnail(recording) {
     try {
@@ -684,8 +2377,10 @@ async encodeFramesToVideo(recording, frameInfos) {
         return;
       }
 
-      const thumbnailPath = path.resolve(roomStorage, 'thumbnails', `${recording.id}.jpg`);
-      
+      if (!this.encodingFor(recording).video) {
+        return await this.generateWaveform(recording, videoPath);
+      }
+
       await new Promise((resolve, reject) => {
         ffmpeg(videoPath)
           .screenshots({
@@ -702,7 +2397,423 @@ async encodeFramesToVideo(recording, frameInfos) {
           .on('error', reject);
       });
     } catch (error) {
-      reject(`Could not generate thumbnail:`, error);
+      // A missing thumbnail should never fail the recording
+      logger(`⚠️ Could not generate thumbnail:`, error.message);
+    }
+  }
+
+  // Thumbnail of an audio-only output: the whole file's waveform
+  async generateWaveform(recording, audioPath) {
+    const thumbnailPath = path.resolve(this.storagePath, 'rooms', this.roomId, 'thumbnails', `${recording.id}.jpg`);
+
+    await runFFmpeg([
+      '-i', audioPath,
+      '-filter_complex', `aformat=channel_layouts=mono,showwavespic=s=${WAVEFORM_SIZE}:colors=${WAVEFORM_COLOR}`,
+      '-frames:v', '1',
+      '-y',
+      thumbnailPath
+    ], { label: 'Waveform' });
+
+    recording.thumbnailUrl = `/recordings/rooms/${this.roomId}/thumbnails/${recording.id}.jpg`;
+    logger('✅ Waveform thumbnail generated');
+  }
+
+  // Derived file (source's profile and container) of one or more time ranges of a finished
+  // recording. The clip is a recording entry of its own (type 'clip'), so status, download
+  // and thumbnail routes work for it too.
+  // A finished recording that clips and condensed copies can be cut from
+  completedSource(recordingId) {
+    const source = this.recordings.get(recordingId);
+    if (!source) {
+      throw new Error(`Recording ${recordingId} not found in room ${this.roomId}`);
+    }
+
+    if (source.status !== 'completed' || !source.fileUrl) {
+      throw new Error(`Cannot clip - recording status is: ${source.status}`);
+    }
+    return source;
+  }
+
+  async createClip(recordingId, { ranges, userId = null, title = null } = {}) {
+    const source = this.completedSource(recordingId);
+    const clipRanges = normalizeClipRanges(ranges);
+    const sourceTitle = (source.metadata && source.metadata.title) || source.filename;
+
+    return this.queueClip(source, {
+      ranges: clipRanges,
+      duration: rangesDuration(clipRanges),
+      userId,
+      title: title || `Clip of ${sourceTitle}`
+    });
+  }
+
+  // Copy of a finished recording with its idle stretches cut out ('cut') or sped up ('speed').
+  // Recordings finalized without idle detection are analyzed by the export job.
+  async createCondensed(recordingId, { mode, speed, minIdleSeconds, userId = null, title = null } = {}) {
+    const source = this.completedSource(recordingId);
+    const condensed = resolveCondenseOptions({ mode, speed, minIdleSeconds });
+    const plan = source.stats.idle ? this.condensePlan(source, condensed) : { ranges: [], duration: 0 };
+    const sourceTitle = (source.metadata && source.metadata.title) || source.filename;
+
+    return this.queueClip(source, {
+      ranges: plan.ranges,
+      duration: plan.duration,
+      userId,
+      title: title || `${sourceTitle} (condensed)`,
+      prefix: 'condensed',
+      condensed
+    });
+  }
+
+  // Ranges of a condensed copy; fails when there is nothing idle enough to drop
+  condensePlan(source, condensed) {
+    const idle = source.stats.idle;
+    const plan = condensedRanges(idle.intervals, idle.duration, condensed);
+    if (plan.duration >= idle.duration) {
+      throw new Error(`No idle stretches to condense (${idle.intervals.length} detected, at least ${Math.max(idle.minSeconds, condensed.minIdleSeconds)}s each)`);
+    }
+    return plan;
+  }
+
+  // Register a clip of `source` and queue its export (or run it inline without a job queue)
+  async queueClip(source, { ranges, duration, userId = null, title, prefix = 'clip', condensed = null }) {
+    const metadata = mergeMetadata(null, { title: title.slice(0, METADATA_LIMITS.title) });
+
+    const clipId = uuidv4();
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const tempDir = path.join(this.storagePath, 'rooms', this.roomId, 'temp', clipId);
+
+    const clip = {
+      id: clipId,
+      roomId: this.roomId,
+      userId: userId || source.userId,
+      type: 'clip',
+      filename: `${prefix}_${this.roomId}_${timestamp}.${containerOf(this.encodingFor(source)).extension}`,
+      status: 'queued',
+      startedAt: new Date(),
+      pausedAt: null,
+      resumedAt: null,
+      stoppedAt: null,
+      completedAt: null,
+      fileUrl: null,
+      error: null,
+      tempDir,
+      framesDir: path.join(tempDir, 'frames'),
+      audioDir: path.join(tempDir, 'audio'),
+      options: {
+        fps: source.options.fps,
+        width: source.options.width,
+        height: source.options.height,
+        quality: source.options.quality,
+        profile: this.encodingFor(source).name,
+        encoding: this.encodingFor(source),
+        withAudio: source.options.withAudio,
+        pauseMode: 'cut',
+        composite: false,
+        hls: false,
+        transcribe: false,
+        subtitles: 'none'
+      },
+      stats: {
+        framesReceived: 0,
+        framesProcessed: 0,
+        framesWritten: 0,
+        audioChunksReceived: 0,
+        lastFrameTime: null,
+        firstFrameTime: null,
+        droppedFrames: 0,
+        errors: 0,
+        averageFPS: 0
+      },
+      clip: {
+        sourceRecordingId: source.id,
+        ranges,
+        duration: Math.round(duration * 1000) / 1000,
+        mode: null,
+        ...(condensed ? { condensed } : {})
+      },
+      frameFiles: [],
+      frameTimestamps: [],
+      audioFiles: [],
+      segments: [],
+      segmentChain: Promise.resolve(),
+      frameCounter: 0,
+      socketId: null,
+      participants: {},
+      speakerEvents: [],
+      pauses: [],
+      markers: [],
+      metadata,
+      isProcessing: false
+    };
+
+    this.recordings.set(clipId, clip);
+
+    if (this.jobQueue) {
+      const job = this.jobQueue.enqueue('export-clip', { roomId: this.roomId, recordingId: clipId });
+      clip.jobId = job.id;
+      const queuedClip = { ...clip };
+      await this.persist(clip);
+
+      logger(`✂️ ${condensed ? 'Condensed copy' : 'Clip'} ${clipId} of ${source.id} queued for export (job ${job.id})`);
+      return queuedClip;
+    }
+
+    await this.persist(clip);
+    return this.exportClip(clipId);
+  }
+
+  // Cut a queued clip out of its source recording. Runs inline or as a queue job.
+  async exportClip(clipId, context = {}) {
+    const clip = this.recordings.get(clipId);
+    if (!clip || clip.type !== 'clip') {
+      throw new Error(`Clip ${clipId} not found in room ${this.roomId}`);
+    }
+
+    if (clip.status === 'completed') {
+      return clip;
+    }
+
+    clip.status = 'processing';
+    clip.error = null;
+    this.persist(clip);
+
+    try {
+      const source = this.recordings.get(clip.clip.sourceRecordingId);
+      if (!source || !source.fileUrl) {
+        throw new Error(`Source recording ${clip.clip.sourceRecordingId} is no longer available`);
+      }
+
+      await fs.ensureDir(clip.tempDir);
+      clip.processing = { startedAt: Date.now() };
+      this.reportProcessing(clip, 'clip', 0, context);
+
+      const sourcePath = await this.sourceFilePath(source, clip.tempDir);
+      const media = await probeMedia(sourcePath);
+      media.hasVideo = media.hasVideo && !!this.encodingFor(clip).video;
+      const finalPath = path.resolve(this.storagePath, 'rooms', this.roomId, 'completed', clip.filename);
+      const onProgress = (percent) => this.reportProcessing(clip, 'clip', percent, context);
+
+      if (clip.clip.condensed) {
+        await this.cutCondensed(clip, source, sourcePath, finalPath, { ...media, onProgress });
+      } else {
+        const ranges = clip.clip.ranges
+          .map(range => ({ start: range.start, end: media.duration ? Math.min(range.end, media.duration) : range.end }))
+          .filter(range => range.end > range.start);
+
+        if (ranges.length === 0) {
+          throw new Error(`Ranges are past the end of the recording (${media.duration.toFixed(1)}s)`);
+        }
+
+        // Stream copy only when every range starts on a keyframe; copied and re-encoded
+        // parts would not concat cleanly, so one misaligned range re-encodes the whole clip.
+        // Audio-only sources have no keyframes to cut on and are always re-encoded.
+        const keyframes = media.hasVideo ? await probeKeyframes(sourcePath) : [];
+        const keyframeStarts = ranges.map(range => keyframes.find(time => Math.abs(time - range.start) <= KEYFRAME_TOLERANCE_SEC));
+        const lossless = keyframeStarts.every(time => time !== undefined);
+        const durationSec = rangesDuration(ranges);
+
+        if (lossless) {
+          const alignedRanges = ranges.map((range, i) => ({ start: keyframeStarts[i], end: range.end }));
+          await this.cutClipLossless(clip, sourcePath, alignedRanges, finalPath, { durationSec, onProgress });
+        } else {
+          await this.cutClipReencode(clip, sourcePath, ranges, finalPath, { ...media, durationSec, onProgress });
+        }
+
+        clip.clip = {
+          ...clip.clip,
+          ranges,
+          duration: Math.round(durationSec * 1000) / 1000,
+          mode: lossless ? 'copy' : 'reencode'
+        };
+      }
+      clip.fileUrl = `/recordings/rooms/${this.roomId}/completed/${clip.filename}`;
+
+      this.reportProcessing(clip, 'thumbnail', 0, context);
+      await this.generateThumbnail(clip);
+      this.reportProcessing(clip, 'thumbnail', 100, context);
+
+      await this.publishOutputs(clip);
+
+      clip.status = 'completed';
+      clip.processing = { ...clip.processing, stage: 'done', stagePercent: 100, percent: 100, eta: 0 };
+      clip.completedAt = new Date();
+      clip.stats.duration = Math.round(clip.clip.duration);
+      await this.persist(clip);
+
+      try {
+        await this.cleanupTempFiles(clip);
+      } catch (cleanupError) {
+        logger(`⚠️ Temp cleanup failed for ${clip.id}: ${cleanupError.message}`);
+      }
+
+      logger(`✅ Clip ${clip.id} exported (${clip.clip.mode}, ${clip.clip.ranges.length} ranges, ${clip.clip.duration.toFixed(1)}s)`);
+      return { ...clip };
+    } catch (error) {
+      logger(`❌ Clip export failed for ${clip.id}:`, error.message);
+      clip.status = willRetry(context) ? 'queued' : 'failed';
+      clip.error = error.message;
+      await this.persist(clip);
+      throw error;
+    }
+  }
+
+  // Each range stream-copied from its keyframe, then joined without re-encoding
+  async cutClipLossless(clip, sourcePath, ranges, finalPath, { durationSec, onProgress } = {}) {
+    const parts = [];
+
+    for (const [i, range] of ranges.entries()) {
+      const partPath = path.join(clip.tempDir, `part_${i}${path.extname(clip.filename)}`);
+      await runFFmpeg([
+        '-ss', range.start.toFixed(3),
+        '-i', sourcePath,
+        '-t', (range.end - range.start).toFixed(3),
+        '-map', '0:v:0',
+        '-map', '0:a?',
+        '-c', 'copy',
+        '-avoid_negative_ts', 'make_zero',
+        '-y',
+        partPath
+      ], { label: `Clip part ${i + 1}` });
+      parts.push(partPath);
+      if (onProgress) onProgress(((i + 1) / (ranges.length + 1)) * 100);
+    }
+
+    const listPath = path.join(clip.tempDir, 'parts.txt');
+    await fs.writeFile(listPath, parts.map(part => `file '${path.resolve(part).replace(/\\/g, '/')}'`).join('\n'));
+
+    await runFFmpeg([
+      '-f', 'concat',
+      '-safe', '0',
+      '-i', listPath,
+      '-c', 'copy',
+      ...this.metadataTags(clip),
+      ...this.containerArgs(clip),
+      '-y',
+      finalPath
+    ], { label: 'Clip concat', durationSec });
+  }
+
+  // Frame-accurate cut: trim every range and join them in a single encode
+  async cutClipReencode(clip, sourcePath, ranges, finalPath, { hasVideo = true, hasAudio, durationSec, onProgress } = {}) {
+    const filters = [];
+    const inputs = [];
+
+    ranges.forEach((range, i) => {
+      const window = `start=${range.start.toFixed(3)}:end=${range.end.toFixed(3)}`;
+      if (hasVideo) {
+        filters.push(`[0:v]trim=${window},setpts=PTS-STARTPTS[v${i}]`);
+        inputs.push(`[v${i}]`);
+      }
+      if (hasAudio) {
+        filters.push(`[0:a]atrim=${window},asetpts=PTS-STARTPTS[a${i}]`);
+        inputs.push(`[a${i}]`);
+      }
+    });
+    filters.push(`${inputs.join('')}concat=n=${ranges.length}:v=${hasVideo ? 1 : 0}:a=${hasAudio ? 1 : 0}${hasVideo ? '[v]' : ''}${hasAudio ? '[a]' : ''}`);
+
+    await runFFmpeg([
+      '-i', sourcePath,
+      '-filter_complex', filters.join(';'),
+      ...(hasVideo ? ['-map', '[v]', ...this.videoEncodeArgs(clip)] : []),
+      ...(hasAudio ? ['-map', '[a]', ...audioCodecArgs(this.encodingFor(clip)), '-ar', '48000', '-ac', '2'] : []),
+      ...this.metadataTags(clip),
+      ...this.containerArgs(clip),
+      '-y',
+      finalPath
+    ], { label: 'Clip encode', durationSec, onProgress });
+  }
+
+  // Condensed copy in one encode: select keeps the active ranges and every speed-th frame of
+  // a sped-up stretch; its (silent) audio is shortened to match
+  async cutCondensed(clip, source, sourcePath, finalPath, { hasVideo = true, hasAudio, duration, onProgress } = {}) {
+    const detect = !source.stats.idle;
+    if (detect) {
+      source.stats.idle = await this.detectIdle(source, sourcePath, {
+        hasVideo,
+        hasAudio,
+        durationSec: duration,
+        onProgress: onProgress ? (percent) => onProgress(percent / 2) : undefined
+      });
+      await this.persist(source);
+    }
+
+    const plan = this.condensePlan(source, clip.clip.condensed);
+    const seconds = (value) => value.toFixed(3);
+    const videoSelect = plan.ranges
+      .map(range => `between(t,${seconds(range.start)},${seconds(range.end)})${range.speed > 1 ? `*not(mod(n,${range.speed}))` : ''}`)
+      .join('+');
+    const audioSelect = plan.ranges
+      .map(range => `between(t,${seconds(range.start)},${seconds(range.start + (range.end - range.start) / range.speed)})`)
+      .join('+');
+
+    await runFFmpeg([
+      '-i', sourcePath,
+      ...(hasVideo ? ['-map', '0:v:0', '-vf', `select='${videoSelect}',setpts=N/FRAME_RATE/TB`, ...this.videoEncodeArgs(clip)] : []),
+      ...(hasAudio ? ['-map', '0:a:0', '-af', `aselect='${audioSelect}',asetpts=N/SR/TB`, ...audioCodecArgs(this.encodingFor(clip)), '-ar', '48000', '-ac', '2'] : []),
+      ...this.metadataTags(clip),
+      ...this.containerArgs(clip),
+      '-y',
+      finalPath
+    ], {
+      label: 'Condensed encode',
+      durationSec: plan.duration,
+      onProgress: onProgress ? (percent) => onProgress(detect ? 50 + percent / 2 : percent) : undefined
+    });
+
+    clip.clip = {
+      ...clip.clip,
+      ranges: plan.ranges,
+      duration: plan.duration,
+      mode: 'reencode',
+      condensed: { ...clip.clip.condensed, removedSeconds: Math.round((source.stats.idle.duration - plan.duration) * 1000) / 1000 }
+    };
+  }
+
+  // Local path of a finished recording's output file, downloaded into workDir from remote storage
+  async sourceFilePath(recording, workDir) {
+    const key = this.storageKey('completed', recording.filename);
+    if (this.storage.isLocal) {
+      return this.storage.localPath(key);
+    }
+    return this.storage.download(key, path.join(workDir, `source_${recording.filename}`));
+  }
+
+  storageKey(...parts) {
+    return ['rooms', this.roomId, ...parts].join('/');
+  }
+
+  // Hand the finished files to the storage backend (already in place on local disk)
+  async publishOutputs(recording) {
+    const roomStorage = path.resolve(this.storagePath, 'rooms', this.roomId);
+    const outputs = [
+      ['completed', recording.filename],
+      ['thumbnails', `${recording.id}.jpg`]
+    ];
+
+    // Sizes are taken before the upload: remote backends don't leave the files on disk, so
+    // storage quotas add up stats.storedBytes from the catalog instead
+    let storedBytes = 0;
+    for (const parts of outputs) {
+      const filePath = path.join(roomStorage, ...parts);
+      if (await fs.pathExists(filePath)) {
+        storedBytes += (await fs.stat(filePath)).size;
+        await this.storage.put(this.storageKey(...parts), filePath);
+      }
+    }
+
+    const hlsRoot = path.join(roomStorage, 'completed', recording.id);
+    if (await fs.pathExists(hlsRoot)) {
+      for (const file of await fs.readdir(hlsRoot, { recursive: true })) {
+        const stats = await fs.stat(path.join(hlsRoot, file));
+        storedBytes += stats.isFile() ? stats.size : 0;
+      }
+      await this.storage.putDirectory(this.storageKey('completed', recording.id), hlsRoot);
+    }
+    recording.stats.storedBytes = storedBytes;
+
+    if (!this.storage.isLocal) {
+      logger(`☁️ Uploaded outputs for ${recording.id} to remote storage`);
     }
   }
 
@@ -716,29 +2827,71 @@ async encodeFramesToVideo(recording, frameInfos) {
     }
   }
 
-  getStatus() {
-    if (!this.activeRecording) {
-      for (const [id, recording] of this.recordings.entries()) {
-        if (recording.roomId === this.roomId) {
-          return this.formatRecordingStatus(recording);
-        }
-      }
-      return null;
+  // Every path a recording occupies on local disk (output, HLS copy, thumbnail, temp data)
+  getRecordingPaths(recording) {
+    const roomStorage = path.resolve(this.storagePath, 'rooms', this.roomId);
+    return [
+      path.join(roomStorage, 'completed', recording.filename),
+      path.join(roomStorage, 'completed', recording.id),
+      path.join(roomStorage, 'thumbnails', `${recording.id}.jpg`),
+      path.join(roomStorage, 'temp', recording.id)
+    ];
+  }
+
+  // Remove a finished recording's files and its catalog entry
+  async deleteRecording(recordingId) {
+    const recording = this.recordings.get(recordingId);
+    if (!recording) {
+      throw new Error(`Recording ${recordingId} not found`);
+    }
+
+    if (['recording', 'paused', 'stopping', 'queued', 'processing'].includes(recording.status)) {
+      throw new Error(`Recording ${recordingId} is ${recording.status} and cannot be deleted`);
+    }
+
+    await fs.remove(recording.tempDir);
+    await this.storage.remove(this.storageKey('completed', recording.filename));
+    await this.storage.removePrefix(this.storageKey('completed', recording.id));
+    await this.storage.remove(this.storageKey('thumbnails', `${recording.id}.jpg`));
+
+    this.recordings.delete(recordingId);
+    if (this.catalog) {
+      await this.catalog.remove(recordingId);
     }
 
-    return this.formatRecordingStatus(this.activeRecording);
+    logger(`🗑️ Deleted recording ${recordingId} from room ${this.roomId}`);
+  }
+
+  // One recording's status, or the room's current recording when no id is given
+  getStatus(recordingId = null) {
+    const recording = recordingId ? this.recordings.get(recordingId) : this.getCurrentRecording();
+    return recording ? this.formatRecordingStatus(recording) : null;
+  }
+
+  // Every recording in the room, newest first
+  getStatuses() {
+    return Array.from(this.recordings.values())
+      .sort((a, b) => b.startedAt - a.startedAt)
+      .map(recording => this.formatRecordingStatus(recording));
   }
 
   formatRecordingStatus(recording) {
     const now = Date.now();
     const startedAt = recording.startedAt.getTime();
-    const duration = recording.completedAt 
-      ? (recording.completedAt.getTime() - startedAt) / 1000
-      : (now - startedAt) / 1000;
+    const endedAt = recording.stoppedAt || recording.completedAt;
+    const pausedMs = pausedBetween(recording.pauses, startedAt, endedAt ? endedAt.getTime() : now);
+    const duration = recording.clip
+      ? recording.clip.duration
+      : endedAt
+        ? (endedAt.getTime() - startedAt - pausedMs) / 1000
+        : (now - startedAt - pausedMs) / 1000;
 
     return {
       id: recording.id,
       roomId: this.roomId,
+      userId: recording.userId,
+      type: recording.type,
+      profile: recording.options.profile || 'standard',
       status: recording.status,
       duration: Math.round(duration),
       framesReceived: recording.stats.framesReceived,
@@ -747,95 +2900,170 @@ async encodeFramesToVideo(recording, frameInfos) {
       audioChunksReceived: recording.stats.audioChunksReceived,
       averageFPS: recording.stats.averageFPS,
       fileUrl: recording.fileUrl,
+      playbackUrl: recording.fileUrl ? `${recording.fileUrl}?inline=1` : null,
+      hlsUrl: recording.hlsUrl || null,
       thumbnailUrl: recording.thumbnailUrl,
+      chaptersUrl: recording.chaptersUrl || null,
+      markersUrl: recording.markersUrl || null,
+      markers: this.getMarkers(recording),
+      metadata: recording.metadata || emptyMetadata(),
+      clip: recording.clip || null,
+      transcript: recording.transcript || null,
+      transcriptUrl: recording.transcriptUrl || null,
+      transcriptVttUrl: recording.transcriptVttUrl || null,
+      transcriptSrtUrl: recording.transcriptSrtUrl || null,
       startedAt: recording.startedAt,
       completedAt: recording.completedAt,
       error: recording.error,
-      withAudio: recording.options.withAudio
+      withAudio: recording.options.withAudio,
+      recovered: !!recording.recovered,
+      jobId: recording.jobId || null,
+      processing: recording.processing || null,
+      sync: recording.stats.sync || null,
+      audioProcessing: recording.stats.audioProcessing || recording.options.audioProcessing || null,
+      idle: recording.stats.idle || null,
+      pauseMode: recording.options.pauseMode || 'cut',
+      pausedDuration: Math.round(pausedMs / 1000),
+      pauses: describePauses(recording.pauses, recording.stats.firstFrameTime, {
+        cardSeconds: this.pauseCardDuration(recording)
+      }),
+      layout: recording.options.composite ? recording.options.layout : null,
+      participants: recording.options.composite
+        ? Object.entries(recording.participants || {}).map(([participantId, participant]) => ({
+          participantId,
+          frames: participant.frames,
+          audioChunks: participant.audioChunks
+        }))
+        : undefined
     };
   }
 
-  async cleanup() {
+  // Stop active recordings; with a socketId only the ones that socket started
+  // Stops every matching recording even when some fail; returns [{ recordingId, error }] for the failures
+  async cleanup(socketId = null) {
     logger(`🧹 Cleaning up recording manager for room ${this.roomId}...`);
     
-    if (this.activeRecording && 
-        (this.activeRecording.status === 'recording' || 
-         this.activeRecording.status === 'paused')) {
-      try {
-        await this.stopRecording(false);
-      } catch (error) {
-        logger(`Error stopping recording:`, error);
-        throw error;
-      }
+    const recordings = this.getActiveRecordings()
+      .filter(recording => !socketId || recording.socketId === socketId);
+
+    const results = await Promise.allSettled(recordings.map(recording => this.stopRecording(recording.id, false)));
+    const failures = results
+      .map((result, i) => ({ recordingId: recordings[i].id, error: result.reason }))
+      .filter((failure, i) => results[i].status === 'rejected');
+
+    for (const { recordingId, error } of failures) {
+      logger(`❌ Error stopping recording ${recordingId}:`, error && error.message);
     }
     
-    logger(`✅ Cleanup completed for room ${this.roomId}`);
+    logger(`✅ Cleanup completed for room ${this.roomId}${failures.length ? ` (${failures.length} failed to stop)` : ''}`);
+    return failures;
   }
 
   // Mux video.mp4 and audio.m4a into final.mp4
-async  muxVideoAndAudio(videoPath, audioPath, outputPath) {
+async  muxVideoAndAudio(recording, videoPath, audioPath, outputPath, { durationSec, onProgress } = {}) {
 
   await fs.ensureDir(path.dirname(outputPath));
   logger(`🎬 Muxing video and audio to: ${outputPath}`);
-  console.log(videoPath, audioPath, 'both')
-  return new Promise((resolve, reject) => {
-    // Build the FFmpeg command arguments
-    const ffmpegArgs = [
-      '-i', videoPath,           // Input video
-      '-i', audioPath,           // Input audio
-      '-map', '0:v:0',           // Map video from input 0 (video file)
-      '-map', '1:a:0',           // Map audio from input 1 (audio file)
-      '-c', 'copy',              // Copy audio and video codecs (no re-encoding)
-      //'-shortest',               // Make output as short as the shortest input (audio/video)
-      '-y',                      // Overwrite output file without asking
-      outputPath                // Output path
-    ];
 
-    // Spawn the FFmpeg process
-    const ffmpegProcess = spawn('ffmpeg', ffmpegArgs);
+  // Build the FFmpeg command arguments
+  // Without a video path (audio-only profiles) the audio alone goes into the container
+  const ffmpegArgs = videoPath ? [
+    '-i', videoPath,           // Input video
+    '-i', audioPath,           // Input audio
+    '-map', '0:v:0',           // Map video from input 0 (video file)
+    '-map', '1:a:0',           // Map audio from input 1 (audio file)
+    '-c:v', 'copy'             // Copy the video codec (no re-encoding)
+  ] : ['-i', audioPath, '-map', '0:a:0'];
+
+  ffmpegArgs.push(
+    ...this.audioOutputArgs(recording), // AAC is copied, other profiles re-encode the audio
+    ...this.containerArgs(recording), // mp4: move the moov atom to the front for instant playback
+    //'-shortest',               // Make output as short as the shortest input (audio/video)
+    '-y',                      // Overwrite output file without asking
+    outputPath                // Output path
+  );
 
-    // Handle stdout from FFmpeg
-    ffmpegProcess.stdout.on('data', (data) => {
-    
-          logger(`FFmpeg stdout: ${data}`);
-      
-        // process.stdout.write(`FFmpeg stdout: ${data}`)
-      
-    });
+  await runFFmpeg(ffmpegArgs, { label: 'Mux', durationSec, onProgress });
 
-    // Handle stderr from FFmpeg
-    ffmpegProcess.stderr.on('data', (data) => {
-      
-          logger(`FFmpeg stderr: ${data}`);
-      
-        // process.stderr.write(`FFmpeg stderr: ${data}`);
-      
-    });
+  const stats = await fs.stat(outputPath);
+  const sizeMB = (stats.size / (1024 * 1024)).toFixed(2);
+  logger(`✅ Muxing complete: ${sizeMB}MB`);
+}
 
-    // Handle process errors
-    ffmpegProcess.on('error', (err) => {
-      logger('❌ Muxing failed:', err.message);
-      reject(err);
-    });
+  // HLS segments are MPEG-TS, which players only reliably decode as H.264: recordings encoded
+  // with another codec are packaged with the standard profile (and its hardware encoder, if any)
+  hlsEncoding(recording) {
+    const encoding = this.encodingFor(recording);
+    const codec = encoding.video && (encoding.video.requestedCodec || encoding.video.codec);
+    if (codec === 'libx264') {
+      return { encoding, quality: recording.options.quality };
+    }
+    return { encoding: selectEncoders({ name: 'standard', ...BUILTIN_PROFILES.standard }), quality: null };
+  }
 
-    // Handle process completion
-    ffmpegProcess.on('close', async (code) => {
-      if (code === 0) {
-        try {
-          const stats = await fs.stat(outputPath);
-          const sizeMB = (stats.size / (1024 * 1024)).toFixed(2);
-        //  fs.rm(path.dirname(this.activeRecording.tempDir), { recursive: true }).catch(() => {});
-          logger(`✅ Muxing complete: ${sizeMB}MB`);
-          resolve();
-        } catch (error) {
-          reject(error);
-        }
-      } else {
-        reject(new Error(`FFmpeg exited with code ${code}`));
+  // Package the final MP4 as VOD HLS: completed/<recordingId>/hls/master.m3u8 + one
+  // playlist and segment set per rendition (hls/<rendition>/index.m3u8)
+  async packageHls(recording, sourcePath, { hasAudio = true, durationSec, onProgress } = {}) {
+    const hlsDir = path.resolve(this.storagePath, 'rooms', this.roomId, 'completed', recording.id, 'hls');
+    const { maxHeight } = this.encodingFor(recording);
+    const sourceHeight = Math.min(recording.options.height || 720, maxHeight || Infinity);
+    const renditions = HLS_RENDITIONS.filter(r => r.height <= sourceHeight);
+    if (renditions.length === 0) {
+      renditions.push(HLS_RENDITIONS[HLS_RENDITIONS.length - 1]);
+    }
+
+    await fs.remove(hlsDir);
+    for (const rendition of renditions) {
+      await fs.ensureDir(path.join(hlsDir, rendition.name));
+    }
+
+    const fps = outputFps(this.encodingFor(recording), recording.options.fps || 30);
+    const splitOutputs = renditions.map((_, i) => `[v${i}]`).join('');
+    const scaleFilters = renditions.map((r, i) => `[v${i}]scale=-2:${r.height}[v${i}out]`);
+    const filterComplex = [`[0:v]split=${renditions.length}${splitOutputs}`, ...scaleFilters].join(';');
+
+    // One codec for every rendition; the per-rendition rates below come after it and win
+    const { encoding, quality } = this.hlsEncoding(recording);
+    const ffmpegArgs = ['-i', sourcePath, '-filter_complex', filterComplex, ...videoCodecArgs(encoding, { quality })];
+
+    renditions.forEach((r, i) => {
+      ffmpegArgs.push(
+        '-map', `[v${i}out]`,
+        `-b:v:${i}`, r.videoBitrate,
+        `-maxrate:v:${i}`, r.maxrate,
+        `-bufsize:v:${i}`, r.bufsize
+      );
+      if (hasAudio) {
+        ffmpegArgs.push('-map', '0:a:0', `-c:a:${i}`, 'aac', `-b:a:${i}`, r.audioBitrate);
       }
     });
-  });
-}
+
+    const streamMap = renditions
+      .map((r, i) => `${hasAudio ? `v:${i},a:${i}` : `v:${i}`},name:${r.name}`)
+      .join(' ');
+
+    ffmpegArgs.push(
+      // Keyframe on every segment boundary so renditions switch cleanly
+      '-g', String(fps * HLS_SEGMENT_SECONDS),
+      '-keyint_min', String(fps * HLS_SEGMENT_SECONDS),
+      '-sc_threshold', '0',
+      '-f', 'hls',
+      '-hls_time', String(HLS_SEGMENT_SECONDS),
+      '-hls_playlist_type', 'vod',
+      '-hls_segment_filename', path.join(hlsDir, '%v', 'segment_%04d.ts'),
+      '-master_pl_name', 'master.m3u8',
+      '-var_stream_map', streamMap,
+      '-y',
+      path.join(hlsDir, '%v', 'index.m3u8')
+    );
+
+    logger(`📺 Packaging HLS (${renditions.map(r => r.name).join(', ')}) for ${recording.id}`);
+    await runFFmpeg(ffmpegArgs, { label: 'HLS', durationSec, onProgress });
+
+    recording.hlsUrl = `/recordings/rooms/${this.roomId}/completed/${recording.id}/hls/master.m3u8`;
+    logger(`✅ HLS ready: ${recording.hlsUrl}`);
+    return recording.hlsUrl;
+  }
 
 
 
@@ -0,0 +1,192 @@
+// RecordingSearch.js - full-text search over the catalog: room/user ids, filenames, titles,
+// descriptions, tags, custom metadata, marker labels and transcript text. Works from the
+// catalog alone, so rooms evicted from memory are found too. Transcripts are read from
+// storage once and kept in memory.
+const { pausedBetween, toTimeline } = require('./pauseTimeline');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('RecordingSearch');
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_MATCHES_PER_HIT = 10;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Catalog fields matched as plain text
+const TEXT_FIELDS = ['roomId', 'userId', 'filename'];
+
+// Timestamp query values: epoch ms or anything Date understands
+const parseDate = (value, name) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+  return date;
+};
+
+const positiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+class RecordingSearch {
+  constructor(options = {}) {
+    this.catalog = options.catalog;
+    this.storage = options.storage;
+    // recordingId -> { url, segments }
+    this.transcripts = new Map();
+  }
+
+  // query: { q, roomId, userId, type, status, from, to, page, limit }; `canAccess(roomId)` scopes results
+  async search(query = {}, { canAccess = () => true } = {}) {
+    const q = String(query.q || '').trim().toLowerCase();
+    if (q.length > MAX_QUERY_LENGTH) {
+      throw new Error(`Query is too long (max ${MAX_QUERY_LENGTH} characters)`);
+    }
+
+    const terms = q.split(/\s+/).filter(Boolean);
+    const from = parseDate(query.from, 'from');
+    const to = parseDate(query.to, 'to');
+    const statuses = query.status ? String(query.status).split(',') : null;
+    const limit = Math.min(positiveInt(query.limit, DEFAULT_LIMIT), MAX_LIMIT);
+    const page = positiveInt(query.page, 1);
+
+    const candidates = this.catalog.getAll().filter(recording => (
+      canAccess(recording.roomId) &&
+      (!query.roomId || recording.roomId === query.roomId) &&
+      (!query.userId || recording.userId === query.userId) &&
+      (!query.type || recording.type === query.type) &&
+      (!statuses || statuses.includes(recording.status)) &&
+      (!from || recording.startedAt >= from) &&
+      (!to || recording.startedAt <= to)
+    ));
+    this.pruneTranscripts();
+
+    const hits = [];
+    for (const recording of candidates) {
+      const hit = terms.length > 0 ? await this.match(recording, terms) : { score: 0, matches: [] };
+      if (hit) {
+        hits.push({ ...this.describe(recording), ...hit });
+      }
+    }
+
+    // Best matches first; newest first among equals (and for a filter-only listing)
+    hits.sort((a, b) => b.score - a.score || b.startedAt - a.startedAt);
+
+    return {
+      query: q,
+      hits: hits.slice((page - 1) * limit, page * limit),
+      total: hits.length,
+      page,
+      limit,
+      pages: Math.ceil(hits.length / limit)
+    };
+  }
+
+  // Every term has to appear somewhere in the recording; each matching field, marker
+  // and transcript segment is reported, with its position on the encoded timeline
+  async match(recording, terms) {
+    const items = TEXT_FIELDS
+      .filter(field => recording[field])
+      .map(field => ({ field, text: String(recording[field]), timestamp: null }));
+
+    const metadata = recording.metadata || {};
+    for (const field of ['title', 'description']) {
+      if (metadata[field]) items.push({ field, text: metadata[field], timestamp: null });
+    }
+    for (const tag of metadata.tags || []) {
+      items.push({ field: 'tag', text: tag, timestamp: null });
+    }
+    for (const [key, value] of Object.entries(metadata.custom || {})) {
+      items.push({ field: `custom.${key}`, text: String(value), timestamp: null });
+    }
+
+    for (const marker of recording.markers || []) {
+      items.push({ field: 'marker', text: marker.label, timestamp: this.markerOffset(recording, marker) });
+    }
+
+    for (const segment of await this.getTranscript(recording)) {
+      items.push({ field: 'transcript', text: segment.text, timestamp: segment.start });
+    }
+
+    const lowered = items.map(item => item.text.toLowerCase());
+    if (!terms.every(term => lowered.some(text => text.includes(term)))) {
+      return null;
+    }
+
+    const matches = items.filter((item, i) => terms.some(term => lowered[i].includes(term)));
+    const timed = matches.filter(item => item.timestamp !== null).sort((a, b) => a.timestamp - b.timestamp);
+
+    return {
+      score: matches.length,
+      timestamp: timed.length > 0 ? timed[0].timestamp : null,
+      matches: [...matches.filter(item => item.timestamp === null), ...timed].slice(0, MAX_MATCHES_PER_HIT)
+    };
+  }
+
+  describe(recording) {
+    const startedAt = recording.startedAt.getTime();
+    const endedAt = (recording.stoppedAt || recording.completedAt || new Date()).getTime();
+
+    return {
+      recordingId: recording.id,
+      roomId: recording.roomId,
+      userId: recording.userId,
+      type: recording.type,
+      status: recording.status,
+      filename: recording.filename,
+      title: recording.metadata ? recording.metadata.title : null,
+      startedAt: recording.startedAt,
+      completedAt: recording.completedAt,
+      duration: Math.round(recording.clip
+        ? recording.clip.duration
+        : (endedAt - startedAt - pausedBetween(recording.pauses, startedAt, endedAt)) / 1000),
+      thumbnailUrl: recording.thumbnailUrl || null,
+      timestamp: null
+    };
+  }
+
+  // Same timeline as RecordingManager.formatMarker
+  markerOffset(recording, marker) {
+    const t0 = recording.stats && recording.stats.firstFrameTime;
+    if (!t0 || marker.timestamp <= t0) {
+      return 0;
+    }
+    const cardSeconds = recording.options.pauseMode === 'card' ? recording.options.pauseCardSeconds || 0 : 0;
+    return Math.round(toTimeline(recording.pauses, t0, marker.timestamp, { cardSeconds }) * 1000) / 1000;
+  }
+
+  // Transcript segments of a recording ([] when there is none or it cannot be read)
+  async getTranscript(recording) {
+    if (!recording.transcriptUrl) {
+      return [];
+    }
+
+    const cached = this.transcripts.get(recording.id);
+    if (cached && cached.url === recording.transcriptUrl) {
+      return cached.segments;
+    }
+
+    try {
+      const key = decodeURIComponent(recording.transcriptUrl.split('?')[0].replace(/^\/recordings\//, ''));
+      const segments = JSON.parse((await this.storage.read(key)).toString()).segments || [];
+      this.transcripts.set(recording.id, { url: recording.transcriptUrl, segments });
+      return segments;
+    } catch (error) {
+      logger(`⚠️ Could not read transcript of ${recording.id}:`, error.message);
+      return [];
+    }
+  }
+
+  // Forget transcripts of recordings that have left the catalog
+  pruneTranscripts() {
+    for (const recordingId of this.transcripts.keys()) {
+      if (!this.catalog.get(recordingId)) {
+        this.transcripts.delete(recordingId);
+      }
+    }
+  }
+}
+
+module.exports = RecordingSearch;
@@ -0,0 +1,367 @@
+// RetentionManager.js - disk quotas, recording expiry and cleanup of temp files and logs
+// Settings start from env and can be changed at runtime through the admin API;
+// runtime changes are kept in <storage>/retention.json so they survive restarts.
+const fs = require('fs-extra');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('RetentionManager');
+
+const MB = 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVE_STATUSES = ['recording', 'paused', 'stopping', 'queued', 'processing', 'interrupted'];
+// Temp data of these is no longer needed
+const FINISHED_STATUSES = ['completed', 'failed'];
+const QUOTA_ACTIONS = ['reject', 'delete-oldest'];
+
+const envNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// Defaults; 0 disables a rule
+const settingsFromEnv = (env = process.env) => ({
+  retentionDays: envNumber(env.RECORDING_RETENTION_DAYS, 0),
+  roomQuotaMb: envNumber(env.ROOM_QUOTA_MB, 0),
+  globalQuotaMb: envNumber(env.STORAGE_QUOTA_MB, 0),
+  quotaAction: QUOTA_ACTIONS.includes(env.QUOTA_ACTION) ? env.QUOTA_ACTION : 'reject',
+  minFreeDiskMb: envNumber(env.MIN_FREE_DISK_MB, 1024),
+  logRetentionDays: envNumber(env.LOG_RETENTION_DAYS, 7),
+  staleTempHours: envNumber(env.TEMP_RETENTION_HOURS, 24),
+  intervalMinutes: envNumber(env.RETENTION_INTERVAL_MINUTES, 60)
+});
+
+// Total bytes of a file or directory tree (0 when missing)
+async function sizeOf(target) {
+  let stats;
+  try {
+    stats = await fs.lstat(target);
+  } catch {
+    return 0;
+  }
+
+  if (!stats.isDirectory()) {
+    return stats.size;
+  }
+
+  let total = 0;
+  for (const entry of await fs.readdir(target)) {
+    total += await sizeOf(path.join(target, entry));
+  }
+  return total;
+}
+
+class RetentionManager {
+  constructor(options = {}) {
+    this.storagePath = path.resolve(options.storagePath || './ui-recordings');
+    this.catalog = options.catalog;
+    // Storage adapter the finished files live in; remote ones are measured from the catalog
+    this.storage = options.storage || null;
+    // roomId -> RecordingManager (used to delete recordings)
+    this.getManager = options.getManager;
+    this.logDir = options.logDir || null;
+    this.settingsPath = path.join(this.storagePath, 'retention.json');
+    this.settings = { ...settingsFromEnv(options.env), ...(options.settings || {}) };
+    this.timer = null;
+    this.isRunning = false;
+    this.lastRun = null;
+  }
+
+  load() {
+    if (fs.existsSync(this.settingsPath)) {
+      try {
+        this.settings = { ...this.settings, ...fs.readJsonSync(this.settingsPath) };
+      } catch (error) {
+        logger(`❌ Could not read retention settings:`, error.message);
+      }
+    }
+    return this;
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  async updateSettings(changes = {}) {
+    const next = { ...this.settings };
+
+    for (const [key, value] of Object.entries(changes)) {
+      if (!(key in next)) {
+        throw new Error(`Unknown retention setting: ${key}`);
+      }
+
+      if (key === 'quotaAction') {
+        if (!QUOTA_ACTIONS.includes(value)) {
+          throw new Error(`quotaAction must be one of: ${QUOTA_ACTIONS.join(', ')}`);
+        }
+        next[key] = value;
+        continue;
+      }
+
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`${key} must be a non-negative number`);
+      }
+      next[key] = number;
+    }
+
+    const intervalChanged = next.intervalMinutes !== this.settings.intervalMinutes;
+    this.settings = next;
+    await fs.writeJson(this.settingsPath, this.settings, { spaces: 2 });
+
+    if (intervalChanged && this.timer) {
+      this.start();
+    }
+
+    logger(`⚙️ Retention settings updated:`, JSON.stringify(changes));
+    return this.getSettings();
+  }
+
+  start() {
+    this.stop();
+
+    if (!this.settings.intervalMinutes) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => logger(`❌ Retention run failed:`, error.message));
+    }, this.settings.intervalMinutes * 60 * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async getFreeDiskBytes() {
+    const stats = await fs.promises.statfs(this.storagePath);
+    return stats.bavail * stats.bsize;
+  }
+
+  // Bytes a recording's published files hold in remote storage (0 when they are on local disk,
+  // where sizeOf already counts them)
+  remoteBytes(recording) {
+    if (!this.storage || this.storage.isLocal) {
+      return 0;
+    }
+    return (recording.stats && recording.stats.storedBytes) || 0;
+  }
+
+  // Local files (temp data, anything not yet uploaded) plus the room's remote outputs
+  async getRoomUsage(roomId) {
+    const remote = Array.from(this.catalog.entries.values())
+      .filter(entry => entry.roomId === roomId)
+      .reduce((sum, entry) => sum + this.remoteBytes(entry), 0);
+    return (await sizeOf(path.join(this.storagePath, 'rooms', roomId))) + remote;
+  }
+
+  async getUsage() {
+    const roomsDir = path.join(this.storagePath, 'rooms');
+    const roomIds = new Set(this.catalog.getRoomIds());
+    const rooms = {};
+    let totalBytes = 0;
+
+    if (await fs.pathExists(roomsDir)) {
+      for (const roomId of await fs.readdir(roomsDir)) {
+        roomIds.add(roomId);
+      }
+    }
+
+    for (const roomId of roomIds) {
+      rooms[roomId] = await this.getRoomUsage(roomId);
+      totalBytes += rooms[roomId];
+    }
+
+    return {
+      totalBytes,
+      freeBytes: await this.getFreeDiskBytes(),
+      rooms
+    };
+  }
+
+  // Throws when a new recording must not start (low disk or quota reached)
+  async assertCanStart(roomId) {
+    const { minFreeDiskMb, roomQuotaMb, globalQuotaMb, quotaAction } = this.settings;
+
+    if (minFreeDiskMb) {
+      const freeMb = (await this.getFreeDiskBytes()) / MB;
+      if (freeMb < minFreeDiskMb) {
+        throw new Error(`Not enough free disk space to record (${Math.floor(freeMb)} MB free, ${minFreeDiskMb} MB required)`);
+      }
+    }
+
+    if (!roomQuotaMb && !globalQuotaMb) {
+      return;
+    }
+
+    if (quotaAction === 'delete-oldest') {
+      await this.enforceQuotas();
+    }
+
+    if (roomQuotaMb && (await this.getRoomUsage(roomId)) / MB >= roomQuotaMb) {
+      throw new Error(`Storage quota reached for room ${roomId} (${roomQuotaMb} MB)`);
+    }
+
+    if (globalQuotaMb && (await this.getUsage()).totalBytes / MB >= globalQuotaMb) {
+      throw new Error(`Storage quota reached (${globalQuotaMb} MB)`);
+    }
+  }
+
+  // Finished recordings, oldest first
+  getExpirableRecordings(roomId = null) {
+    return Array.from(this.catalog.entries.values())
+      .filter(entry => !roomId || entry.roomId === roomId)
+      .filter(entry => !ACTIVE_STATUSES.includes(entry.status))
+      .map(entry => this.catalog.fromEntry(entry))
+      .sort((a, b) => (a.completedAt || a.startedAt) - (b.completedAt || b.startedAt));
+  }
+
+  async deleteRecording(recording, reason) {
+    const manager = this.getManager(recording.roomId);
+    const bytes = (await Promise.all(manager.getRecordingPaths(recording).map(sizeOf)))
+      .reduce((sum, size) => sum + size, this.remoteBytes(recording));
+
+    await manager.deleteRecording(recording.id);
+    logger(`🗑️ Removed recording ${recording.id} (${reason}, ${(bytes / MB).toFixed(1)} MB)`);
+    return { recordingId: recording.id, roomId: recording.roomId, reason, bytes };
+  }
+
+  async expireRecordings() {
+    const { retentionDays } = this.settings;
+    if (!retentionDays) {
+      return [];
+    }
+
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    const removed = [];
+    for (const recording of this.getExpirableRecordings()) {
+      if ((recording.completedAt || recording.startedAt).getTime() < cutoff) {
+        removed.push(await this.deleteRecording(recording, 'expired'));
+      }
+    }
+    return removed;
+  }
+
+  // Delete oldest finished recordings until each room and the whole store fit their quota
+  async enforceQuotas() {
+    const { roomQuotaMb, globalQuotaMb } = this.settings;
+    const removed = [];
+
+    if (roomQuotaMb) {
+      for (const roomId of this.catalog.getRoomIds()) {
+        let usage = await this.getRoomUsage(roomId);
+        for (const recording of this.getExpirableRecordings(roomId)) {
+          if (usage <= roomQuotaMb * MB) break;
+          const result = await this.deleteRecording(recording, 'room quota');
+          usage -= result.bytes;
+          removed.push(result);
+        }
+      }
+    }
+
+    if (globalQuotaMb) {
+      let { totalBytes } = await this.getUsage();
+      for (const recording of this.getExpirableRecordings()) {
+        if (totalBytes <= globalQuotaMb * MB) break;
+        const result = await this.deleteRecording(recording, 'storage quota');
+        totalBytes -= result.bytes;
+        removed.push(result);
+      }
+    }
+
+    return removed;
+  }
+
+  // Temp dirs left behind by completed or failed recordings. Uncatalogued dirs may be a crashed
+  // capture that recovery adopts, so only catalogued, finished recordings are removed
+  async cleanupStaleTemp() {
+    const { staleTempHours } = this.settings;
+    const roomsDir = path.join(this.storagePath, 'rooms');
+    const removed = [];
+
+    if (!staleTempHours || !(await fs.pathExists(roomsDir))) {
+      return removed;
+    }
+
+    const cutoff = Date.now() - staleTempHours * 60 * 60 * 1000;
+    for (const roomId of await fs.readdir(roomsDir)) {
+      const tempDir = path.join(roomsDir, roomId, 'temp');
+      if (!(await fs.pathExists(tempDir))) continue;
+
+      for (const recordingId of await fs.readdir(tempDir)) {
+        const entry = this.catalog.entries.get(recordingId);
+        if (!entry || !FINISHED_STATUSES.includes(entry.status)) continue;
+
+        const dir = path.join(tempDir, recordingId);
+        const stats = await fs.stat(dir);
+        if (stats.mtimeMs > cutoff) continue;
+
+        const bytes = await sizeOf(dir);
+        await fs.remove(dir);
+        removed.push({ recordingId, roomId, reason: 'stale temp', bytes });
+        logger(`🧹 Removed stale temp dir ${dir}`);
+      }
+    }
+
+    return removed;
+  }
+
+  async cleanupLogs() {
+    const { logRetentionDays } = this.settings;
+    const removed = [];
+
+    if (!logRetentionDays || !this.logDir || !(await fs.pathExists(this.logDir))) {
+      return removed;
+    }
+
+    const cutoff = Date.now() - logRetentionDays * DAY_MS;
+    for (const file of await fs.readdir(this.logDir)) {
+      if (!/^\d{4}-W\d{2}\.log$/.test(file)) continue;
+
+      const logPath = path.join(this.logDir, file);
+      const stats = await fs.stat(logPath);
+      if (stats.mtimeMs < cutoff) {
+        await fs.remove(logPath);
+        removed.push({ file, reason: 'log retention', bytes: stats.size });
+      }
+    }
+
+    return removed;
+  }
+
+  // One full pass over every rule; returns what was removed
+  async run() {
+    if (this.isRunning) {
+      return null;
+    }
+
+    this.isRunning = true;
+    try {
+      const removed = [
+        ...await this.expireRecordings(),
+        ...(this.settings.quotaAction === 'delete-oldest' ? await this.enforceQuotas() : []),
+        ...await this.cleanupStaleTemp(),
+        ...await this.cleanupLogs()
+      ];
+
+      this.lastRun = {
+        finishedAt: new Date(),
+        removed,
+        freedBytes: removed.reduce((sum, item) => sum + item.bytes, 0)
+      };
+
+      if (removed.length > 0) {
+        logger(`🧹 Retention run removed ${removed.length} items (${(this.lastRun.freedBytes / MB).toFixed(1)} MB)`);
+      }
+      return this.lastRun;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = RetentionManager;
@@ -0,0 +1,266 @@
+// S3StorageAdapter.js - completed recordings in an S3-compatible bucket (AWS S3, MinIO, ...)
+// Requests are signed with AWS Signature V4; downloads are handed out as presigned GET URLs.
+// Uploaded files are removed from the local disk once the bucket has them.
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4a': 'audio/mp4',
+  '.opus': 'audio/ogg',
+  '.webm': 'video/webm',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.vtt': 'text/vtt',
+  '.srt': 'application/x-subrip',
+  '.json': 'application/json',
+  '.txt': 'text/plain'
+};
+
+// RFC 3986 encoding as SigV4 expects ('/' kept when encoding object keys)
+const encode = (value, keepSlash = false) => {
+  const encoded = encodeURIComponent(value)
+    .replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return keepSlash ? encoded.replace(/%2F/g, '/') : encoded;
+};
+
+const toAmzDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+class S3StorageAdapter {
+  constructor(options = {}) {
+    if (!options.bucket || !options.accessKeyId || !options.secretAccessKey) {
+      throw new Error('S3 storage requires bucket, accessKeyId and secretAccessKey');
+    }
+
+    this.bucket = options.bucket;
+    this.region = options.region || 'us-east-1';
+    this.endpoint = new URL(options.endpoint || `https://s3.${this.region}.amazonaws.com`);
+    this.accessKeyId = options.accessKeyId;
+    this.secretAccessKey = options.secretAccessKey;
+    this.prefix = (options.prefix || '').replace(/^\/+|\/+$/g, '');
+    // MinIO and most self-hosted stores need path-style URLs
+    this.forcePathStyle = options.forcePathStyle !== false;
+    this.urlTtl = options.urlTtl || 3600;
+    this.isLocal = false;
+  }
+
+  localPath() {
+    return null;
+  }
+
+  objectKey(key) {
+    return this.prefix ? `${this.prefix}/${key}` : key;
+  }
+
+  // Host and canonical path for an object (or the bucket when key is empty)
+  location(key = '') {
+    const host = this.forcePathStyle ? this.endpoint.host : `${this.bucket}.${this.endpoint.host}`;
+    const basePath = this.endpoint.pathname.replace(/\/+$/, '');
+    const bucketPath = this.forcePathStyle ? `/${this.bucket}` : '';
+    const objectPath = key ? `/${encode(this.objectKey(key), true)}` : '/';
+    return { host, pathname: `${basePath}${bucketPath}${objectPath}` };
+  }
+
+  sign({ method, pathname, query = {}, headers = {}, payloadHash = UNSIGNED_PAYLOAD, date = new Date() }) {
+    const amzDate = toAmzDate(date);
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+    const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = headerNames.map(name => `${name}:${String(lowerHeaders[name]).trim()}\n`).join('');
+    const signedHeaders = headerNames.join(';');
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encode(name)}=${encode(query[name])}`)
+      .join('&');
+
+    const canonicalRequest = [method, pathname, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region)
+    );
+
+    return {
+      amzDate,
+      scope,
+      signedHeaders,
+      canonicalQuery,
+      signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+    };
+  }
+
+  // Signed request; resolves { statusCode, headers, body } or the raw response when `stream` is set
+  request(method, key, { query = {}, headers = {}, body = null, stream = false } = {}) {
+    const { host, pathname } = this.location(key);
+    const date = new Date();
+    const requestHeaders = {
+      ...headers,
+      host,
+      'x-amz-content-sha256': UNSIGNED_PAYLOAD,
+      'x-amz-date': toAmzDate(date)
+    };
+    const signed = this.sign({ method, pathname, query, headers: requestHeaders, date });
+    requestHeaders.authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${signed.scope}, ` +
+      `SignedHeaders=${signed.signedHeaders}, Signature=${signed.signature}`;
+
+    const transport = this.endpoint.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        method,
+        protocol: this.endpoint.protocol,
+        hostname: host.split(':')[0],
+        port: this.endpoint.port || undefined,
+        path: signed.canonicalQuery ? `${pathname}?${signed.canonicalQuery}` : pathname,
+        headers: requestHeaders
+      }, (res) => {
+        if (stream && res.statusCode < 300) {
+          return resolve(res);
+        }
+
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          const response = { statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) };
+          if (res.statusCode >= 300 && !(method === 'HEAD' && res.statusCode === 404)) {
+            const code = /<Code>([^<]+)<\/Code>/.exec(response.body.toString())?.[1] || res.statusCode;
+            const error = new Error(`S3 ${method} ${key || '/'} failed: ${code}`);
+            error.statusCode = res.statusCode;
+            return reject(error);
+          }
+          resolve(response);
+        });
+        res.on('error', reject);
+      });
+
+      req.on('error', reject);
+
+      if (body && typeof body.pipe === 'function') {
+        body.on('error', reject);
+        body.pipe(req);
+      } else {
+        req.end(body || undefined);
+      }
+    });
+  }
+
+  // Upload a local file, then remove the local copy
+  async put(key, sourcePath, { contentType } = {}) {
+    const { size } = await fs.stat(sourcePath);
+
+    await this.request('PUT', key, {
+      headers: {
+        'content-type': contentType || CONTENT_TYPES[path.extname(sourcePath).toLowerCase()] || 'application/octet-stream',
+        'content-length': size
+      },
+      body: fs.createReadStream(sourcePath)
+    });
+
+    await fs.remove(sourcePath);
+    return key;
+  }
+
+  async putDirectory(prefix, sourceDir) {
+    for (const entry of await fs.readdir(sourceDir)) {
+      const entryPath = path.join(sourceDir, entry);
+      if ((await fs.stat(entryPath)).isDirectory()) {
+        await this.putDirectory(`${prefix}/${entry}`, entryPath);
+      } else {
+        await this.put(`${prefix}/${entry}`, entryPath);
+      }
+    }
+
+    await fs.remove(sourceDir);
+    return prefix;
+  }
+
+  async read(key) {
+    const { body } = await this.request('GET', key);
+    return body;
+  }
+
+  async download(key, destinationPath) {
+    await fs.ensureDir(path.dirname(destinationPath));
+    const res = await this.request('GET', key, { stream: true });
+
+    await new Promise((resolve, reject) => {
+      const file = fs.createWriteStream(destinationPath);
+      res.on('error', reject);
+      file.on('error', reject);
+      file.on('finish', resolve);
+      res.pipe(file);
+    });
+
+    return destinationPath;
+  }
+
+  async exists(key) {
+    const { statusCode } = await this.request('HEAD', key);
+    return statusCode === 200;
+  }
+
+  async remove(key) {
+    await this.request('DELETE', key);
+  }
+
+  async listKeys(prefix) {
+    const keys = [];
+    let continuationToken = null;
+
+    do {
+      const query = { 'list-type': '2', prefix: this.objectKey(prefix) };
+      if (continuationToken) {
+        query['continuation-token'] = continuationToken;
+      }
+
+      const xml = (await this.request('GET', '', { query })).body.toString();
+      for (const [, objectKey] of xml.matchAll(/<Key>([^<]+)<\/Key>/g)) {
+        keys.push(objectKey.replace(/&amp;/g, '&').slice(this.prefix ? this.prefix.length + 1 : 0));
+      }
+      continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+        ? /<NextContinuationToken>([^<]+)<\/NextContinuationToken>/.exec(xml)?.[1]
+        : null;
+    } while (continuationToken);
+
+    return keys;
+  }
+
+  async removePrefix(prefix) {
+    for (const key of await this.listKeys(prefix.endsWith('/') ? prefix : `${prefix}/`)) {
+      await this.remove(key);
+    }
+  }
+
+  // Presigned GET URL; `inline` / `filename` set the Content-Disposition S3 answers with
+  getUrl(key, { expiresIn = this.urlTtl, inline = false, filename } = {}) {
+    const { host, pathname } = this.location(key);
+    const date = new Date();
+    const amzDate = toAmzDate(date);
+    const name = (filename || key.split('/').pop()).replace(/"/g, '');
+
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.accessKeyId}/${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': 'host',
+      'response-content-disposition': `${inline ? 'inline' : 'attachment'}; filename="${name}"`
+    };
+
+    const { canonicalQuery, signature } = this.sign({ method: 'GET', pathname, query, headers: { host }, date });
+    return `${this.endpoint.protocol}//${host}${pathname}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+  }
+}
+
+module.exports = S3StorageAdapter;
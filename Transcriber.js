@@ -0,0 +1,178 @@
+// Transcriber.js - offline speech-to-text through a local CLI engine (no network)
+// Engines take a 16 kHz mono WAV and produce timed segments: [{ start, end, text }] in seconds.
+// Adding an engine means adding an entry to ENGINES: how to call it and how to read its output.
+const { spawn } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { lowerPriority } = require('./ffmpegRuntime');
+
+const logger = createLogger('Transcriber');
+
+const SUBTITLE_MODES = ['none', 'mux', 'burn'];
+
+// "00:01:02,345" / "00:01:02.345" / "01:02.345" -> seconds
+const parseCueTime = (value) => {
+  const parts = value.trim().replace(',', '.').split(':').map(parseFloat);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+const pad = (value, size = 2) => String(value).padStart(size, '0');
+
+const formatCueTime = (seconds, separator) => {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+};
+
+// SRT and WebVTT cues -> segments
+function parseCues(text) {
+  const segments = [];
+  for (const block of text.replace(/\r/g, '').split(/\n{2,}/)) {
+    const lines = block.split('\n');
+    const timing = lines.findIndex(line => line.includes('-->'));
+    if (timing === -1) continue;
+
+    const [start, end] = lines[timing].split('-->').map(part => parseCueTime(part.trim().split(/\s+/)[0]));
+    const cueText = lines.slice(timing + 1).join(' ').trim();
+    if (cueText) {
+      segments.push({ start, end, text: cueText });
+    }
+  }
+  return segments;
+}
+
+const toSrt = (segments) => segments
+  .map((segment, i) => `${i + 1}\n${formatCueTime(segment.start, ',')} --> ${formatCueTime(segment.end, ',')}\n${segment.text}`)
+  .join('\n\n') + '\n';
+
+const toVtt = (segments) => `WEBVTT\n\n${segments
+  .map((segment, i) => `${i + 1}\n${formatCueTime(segment.start, '.')} --> ${formatCueTime(segment.end, '.')}\n${segment.text}`)
+  .join('\n\n')}\n`;
+
+const ENGINES = {
+  // whisper.cpp: writes <outBase>.json with offsets in ms; has no built-in model
+  whisper: {
+    bin: 'whisper-cli',
+    requiresModel: true,
+    args: ({ input, outBase, model, language, threads }) => [
+      '-m', model,
+      '-f', input,
+      '-l', language || 'auto',
+      '-t', String(threads),
+      '-oj',
+      '-of', outBase,
+      '-np'
+    ],
+    read: async (outBase) => {
+      const result = await fs.readJson(`${outBase}.json`);
+      return (result.transcription || []).map(item => ({
+        start: item.offsets.from / 1000,
+        end: item.offsets.to / 1000,
+        text: item.text.trim()
+      }));
+    }
+  },
+
+  // Vosk (vosk-transcriber from the vosk Python package): SRT output
+  vosk: {
+    bin: 'vosk-transcriber',
+    args: ({ input, outBase, model, language }) => [
+      ...(model ? ['-m', model] : ['-l', language && language !== 'auto' ? language : 'en-us']),
+      '-i', input,
+      '-t', 'srt',
+      '-o', `${outBase}.srt`
+    ],
+    read: async (outBase) => parseCues(await fs.readFile(`${outBase}.srt`, 'utf8'))
+  }
+};
+
+class Transcriber {
+  constructor(options = {}) {
+    this.engine = options.engine && options.engine !== 'none' ? options.engine : null;
+    if (this.engine && !ENGINES[this.engine]) {
+      throw new Error(`Unknown transcription engine: ${this.engine} (expected ${Object.keys(ENGINES).join(', ')})`);
+    }
+
+    this.bin = options.bin || (this.engine ? ENGINES[this.engine].bin : null);
+    this.model = options.model || null;
+    if (this.engine && ENGINES[this.engine].requiresModel) {
+      if (!this.model) {
+        throw new Error(`Transcription engine ${this.engine} needs a model file (set TRANSCRIPTION_MODEL)`);
+      }
+      if (!fs.existsSync(this.model)) {
+        throw new Error(`Transcription model not found: ${this.model}`);
+      }
+    }
+    this.language = options.language || 'auto';
+    this.threads = options.threads || 2;
+    this.timeoutMs = options.timeoutMs || 60 * 60 * 1000;
+    this.subtitles = SUBTITLE_MODES.includes(options.subtitles) ? options.subtitles : 'none';
+  }
+
+  get enabled() {
+    return !!this.engine;
+  }
+
+  // Run the engine on a 16 kHz mono WAV; work files go to workDir
+  async transcribe(input, workDir) {
+    if (!this.enabled) {
+      throw new Error('Transcription is not configured');
+    }
+
+    const engine = ENGINES[this.engine];
+    const outBase = path.join(workDir, 'transcript_raw');
+    await fs.ensureDir(workDir);
+
+    const args = engine.args({
+      input,
+      outBase,
+      model: this.model,
+      language: this.language,
+      threads: this.threads
+    });
+
+    logger(`📝 Transcribing with ${this.engine}: ${path.basename(input)}`);
+    await this.run(args);
+
+    const segments = (await engine.read(outBase)).filter(segment => segment.text && segment.end >= segment.start);
+    logger(`✅ Transcript ready: ${segments.length} segments`);
+    return segments;
+  }
+
+  run(args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.bin, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+      lowerPriority(child);
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`Transcription timed out after ${Math.round(this.timeoutMs / 60000)} minutes`));
+      }, this.timeoutMs);
+
+      child.stderr.on('data', (data) => {
+        stderr = (stderr + data).slice(-2000);
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`Could not run ${this.bin}: ${error.message}`));
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`${this.bin} exited with code ${code}: ${stderr.trim().split('\n').pop() || ''}`));
+        }
+      });
+    });
+  }
+}
+
+module.exports = Transcriber;
+module.exports.SUBTITLE_MODES = SUBTITLE_MODES;
+module.exports.parseCues = parseCues;
+module.exports.toSrt = toSrt;
+module.exports.toVtt = toVtt;
@@ -0,0 +1,145 @@
+// audioProcessing.js - optional clean-up of a recording's audio between encode and mux:
+// noise reduction, EBU R128 loudness normalization (two-pass loudnorm), silence trimming
+// at the start and end, and a mono downmix. Server defaults, overridden per recording
+// through options.audioProcessing.
+const AUDIO_PROCESSING_DEFAULTS = {
+  loudnorm: false,
+  // Integrated loudness target in LUFS (EBU R128 broadcast is -23, podcasts/streaming -16)
+  loudnessTarget: -16,
+  denoise: false,
+  trimSilence: false,
+  mono: false
+};
+const BOOLEAN_SETTINGS = ['loudnorm', 'denoise', 'trimSilence', 'mono'];
+const LOUDNESS_TARGET_RANGE = { min: -70, max: -5 };
+const TRUE_PEAK_DB = -1.5;
+const LOUDNESS_RANGE_LU = 11;
+
+// Rumble (fans, handling noise) below 80 Hz, then FFT noise reduction
+const DENOISE_FILTERS = ['highpass=f=80', 'afftdn=nf=-25'];
+
+// Leading/trailing audio quieter than this for at least minSeconds is silence;
+// paddingSeconds of it is kept so the first word isn't clipped
+const SILENCE = { thresholdDb: -50, minSeconds: 1, paddingSeconds: 0.25 };
+
+// Server defaults + per-recording overrides -> complete settings
+function resolveAudioProcessing(requested, defaults = AUDIO_PROCESSING_DEFAULTS) {
+  const settings = { ...AUDIO_PROCESSING_DEFAULTS, ...defaults };
+  if (requested === undefined || requested === null) {
+    return settings;
+  }
+
+  if (typeof requested !== 'object' || Array.isArray(requested)) {
+    throw new Error('audioProcessing must be an object');
+  }
+
+  for (const [key, value] of Object.entries(requested)) {
+    if (BOOLEAN_SETTINGS.includes(key)) {
+      settings[key] = !!value;
+    } else if (key === 'loudnessTarget') {
+      const target = Number(value);
+      if (!Number.isFinite(target) || target < LOUDNESS_TARGET_RANGE.min || target > LOUDNESS_TARGET_RANGE.max) {
+        throw new Error(`audioProcessing.loudnessTarget must be between ${LOUDNESS_TARGET_RANGE.min} and ${LOUDNESS_TARGET_RANGE.max} LUFS`);
+      }
+      settings.loudnessTarget = target;
+    } else {
+      throw new Error(`Unknown audioProcessing setting: ${key} (expected ${[...BOOLEAN_SETTINGS, 'loudnessTarget'].join(', ')})`);
+    }
+  }
+
+  return settings;
+}
+
+const isAudioProcessingEnabled = (settings) => !!settings && BOOLEAN_SETTINGS.some(key => settings[key]);
+
+const denoiseFilters = () => DENOISE_FILTERS.slice();
+
+// Without `measured` this is loudnorm's single pass (dynamic) mode or its analysis pass;
+// with the first pass's measurements it normalizes linearly, without pumping
+function loudnormFilter(settings, { measured = null, analyze = false } = {}) {
+  const params = [`I=${settings.loudnessTarget}`, `TP=${TRUE_PEAK_DB}`, `LRA=${LOUDNESS_RANGE_LU}`];
+  if (measured) {
+    params.push(
+      `measured_I=${measured.input_i}`,
+      `measured_TP=${measured.input_tp}`,
+      `measured_LRA=${measured.input_lra}`,
+      `measured_thresh=${measured.input_thresh}`,
+      `offset=${measured.target_offset}`,
+      'linear=true'
+    );
+  }
+  if (analyze) {
+    params.push('print_format=json');
+  }
+  return `loudnorm=${params.join(':')}`;
+}
+
+const silenceDetectFilter = () => `silencedetect=n=${SILENCE.thresholdDb}dB:d=${SILENCE.minSeconds}`;
+
+// loudnorm's print_format=json block from FFmpeg's stderr lines (null when missing)
+function parseLoudnorm(lines) {
+  const match = /\{[^{}]*"input_i"[^{}]*\}/.exec(lines.join('\n'));
+  if (!match) {
+    return null;
+  }
+  try {
+    const measured = JSON.parse(match[0]);
+    // Silence only: nothing to normalize
+    return Number.isFinite(parseFloat(measured.input_i)) ? measured : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// silencedetect output -> { start, end } to keep (end null = up to the end of the audio)
+function silenceBounds(lines, durationSec) {
+  const intervals = [];
+  for (const line of lines) {
+    const start = /silence_start:\s*(-?[\d.]+)/.exec(line);
+    const end = /silence_end:\s*(-?[\d.]+)/.exec(line);
+    if (start) {
+      intervals.push({ start: Math.max(0, parseFloat(start[1])), end: null });
+    } else if (end && intervals.length > 0) {
+      intervals[intervals.length - 1].end = parseFloat(end[1]);
+    }
+  }
+
+  const bounds = { start: 0, end: null };
+  const first = intervals[0];
+  const last = intervals[intervals.length - 1];
+  if (!first) {
+    return bounds;
+  }
+
+  const leading = first.start <= SILENCE.paddingSeconds;
+  // Silence running into the end of the file (its silence_end is missing or at EOF)
+  const trailing = last.end === null || (durationSec && last.end >= durationSec - SILENCE.paddingSeconds);
+
+  // One interval covering the whole file: nothing to keep, leave it alone
+  if (leading && trailing && last === first) {
+    return bounds;
+  }
+
+  if (leading) {
+    bounds.start = Math.max(0, first.end - SILENCE.paddingSeconds);
+  }
+  if (trailing) {
+    bounds.end = last.start + SILENCE.paddingSeconds;
+  }
+
+  if (bounds.end !== null && bounds.end <= bounds.start) {
+    return { start: 0, end: null };
+  }
+  return bounds;
+}
+
+module.exports = {
+  AUDIO_PROCESSING_DEFAULTS,
+  resolveAudioProcessing,
+  isAudioProcessingEnabled,
+  denoiseFilters,
+  loudnormFilter,
+  silenceDetectFilter,
+  parseLoudnorm,
+  silenceBounds
+};
@@ -0,0 +1,194 @@
+// auth.js - API key (REST) and HMAC-signed token (Socket.IO + REST) authentication
+// Tokens are HS256 JWTs. Claims bind a caller to rooms and a role:
+//   { sub: 'user-123', role: 'host', rooms: ['room-a', 'room-b'], exp: 1700000000 }
+//   { sub: 'user-123', rooms: { 'room-a': 'host', 'room-b': 'participant' } }
+//   rooms: '*' grants every room (service accounts)
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'participant', 'host', 'admin'];
+
+const base64url = (input) => Buffer.from(input).toString('base64')
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
+
+const hmac = (data, secret) => base64url(crypto.createHmac('sha256', secret).update(data).digest());
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+function signToken(claims, secret, { expiresIn } = {}) {
+  if (!secret) {
+    throw new Error('Token secret is not configured');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { iat: now, ...claims };
+  if (expiresIn && !payload.exp) {
+    payload.exp = now + expiresIn;
+  }
+
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  return `${header}.${body}.${hmac(`${header}.${body}`, secret)}`;
+}
+
+function verifyToken(token, secret) {
+  if (!secret) {
+    throw new Error('Token secret is not configured');
+  }
+
+  const [header, body, signature] = String(token || '').split('.');
+  if (!header || !body || !signature) {
+    throw new Error('Malformed token');
+  }
+
+  if (!safeEqual(signature, hmac(`${header}.${body}`, secret))) {
+    throw new Error('Invalid token signature');
+  }
+
+  const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+  if (alg !== 'HS256') {
+    throw new Error(`Unsupported token algorithm: ${alg}`);
+  }
+
+  const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  if (claims.exp && claims.exp < Math.floor(Date.now() / 1000)) {
+    throw new Error('Token expired');
+  }
+
+  return claims;
+}
+
+// Build the auth layer. Pass `verifyToken` to plug in another token format
+// (it receives the raw token and must return claims or throw).
+function createAuth(options = {}) {
+  const enabled = !!options.enabled;
+  const apiKey = options.apiKey || null;
+  const tokenSecret = options.tokenSecret || null;
+  const tokenTtl = options.tokenTtl || 3600;
+  const verify = options.verifyToken || (token => verifyToken(token, tokenSecret));
+
+  const apiKeyIdentity = { sub: 'api-key', role: 'admin', rooms: '*', type: 'apiKey' };
+
+  // Credentials -> identity (token claims or the API key identity); throws when invalid
+  const authenticate = ({ apiKey: key, token } = {}) => {
+    if (key) {
+      if (!apiKey || !safeEqual(key, apiKey)) {
+        throw new Error('Invalid API key');
+      }
+      return apiKeyIdentity;
+    }
+
+    if (token) {
+      return { ...verify(token), type: 'token' };
+    }
+
+    throw new Error('Authentication required');
+  };
+
+  const roleFor = (identity, roomId) => {
+    if (!enabled) return 'admin';
+    if (!identity) return null;
+    if (identity.role === 'admin') return 'admin';
+
+    const { rooms } = identity;
+    if (rooms === '*') return identity.role || 'participant';
+    if (Array.isArray(rooms)) return rooms.includes(roomId) ? (identity.role || 'participant') : null;
+    if (rooms && typeof rooms === 'object') return rooms[roomId] || null;
+    return null;
+  };
+
+  const hasRole = (identity, roomId, minimumRole) => {
+    const role = roleFor(identity, roomId);
+    return !!role && ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+  };
+
+  const canAccessRoom = (identity, roomId) => !!roleFor(identity, roomId);
+
+  // Pause/resume/stop: room host (or admin) or whoever started the recording
+  const canControlRecording = (identity, recording) => {
+    if (!enabled) return true;
+    if (!recording || !identity) return false;
+    if (hasRole(identity, recording.roomId, 'host')) return true;
+    return canAccessRoom(identity, recording.roomId) && identity.sub === recording.userId;
+  };
+
+  const credentialsFromRequest = (req) => {
+    const header = req.headers.authorization || '';
+    return {
+      apiKey: req.headers['x-api-key'],
+      token: header.startsWith('Bearer ') ? header.slice(7) : req.query.token
+    };
+  };
+
+  // Express middleware: attaches req.auth
+  const requireAuth = (req, res, next) => {
+    if (!enabled) {
+      req.auth = null;
+      return next();
+    }
+
+    try {
+      req.auth = authenticate(credentialsFromRequest(req));
+      next();
+    } catch (error) {
+      res.status(401).json({ error: error.message });
+    }
+  };
+
+  const requireRoomAccess = (param = 'roomId') => (req, res, next) => {
+    if (!canAccessRoom(req.auth, req.params[param])) {
+      return res.status(403).json({ error: 'Access denied for this room' });
+    }
+    next();
+  };
+
+  const requireAdmin = (req, res, next) => {
+    if (enabled && (!req.auth || req.auth.role !== 'admin')) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+  };
+
+  // Socket.IO middleware: credentials come from the handshake (`auth: { token }`)
+  const socketMiddleware = (socket, next) => {
+    if (!enabled) {
+      socket.data.auth = null;
+      return next();
+    }
+
+    try {
+      const { auth = {}, query = {} } = socket.handshake;
+      socket.data.auth = authenticate({
+        apiKey: auth.apiKey,
+        token: auth.token || query.token
+      });
+      next();
+    } catch (error) {
+      next(new Error(`Unauthorized: ${error.message}`));
+    }
+  };
+
+  const issueToken = (claims, expiresIn = tokenTtl) => signToken(claims, tokenSecret, { expiresIn });
+
+  return {
+    enabled,
+    authenticate,
+    roleFor,
+    hasRole,
+    canAccessRoom,
+    canControlRecording,
+    requireAuth,
+    requireRoomAccess,
+    requireAdmin,
+    socketMiddleware,
+    issueToken,
+    canIssueTokens: !!tokenSecret
+  };
+}
+
+module.exports = { createAuth, signToken, verifyToken, ROLES };
@@ -0,0 +1,130 @@
+// compositeLayout.js - place several participants' frame streams on one canvas
+// Each participant gets one or more cells ({ x, y, w, h, enable }); `enable` is an FFmpeg
+// timeline expression for cells that are only shown part of the time (active speaker).
+const LAYOUTS = ['grid', 'speaker', 'pip'];
+
+const even = (value) => Math.max(2, Math.floor(value / 2) * 2);
+
+// Speaker change events -> [{ participantId, start, end }] in seconds from t0.
+// Before the first event the first speaker (or the fallback participant) holds the stage.
+function speakerTimeline(events, t0, duration, fallbackId) {
+  const sorted = (events || []).slice().sort((a, b) => a.timestamp - b.timestamp);
+  const timeline = [];
+
+  for (const event of sorted) {
+    const start = timeline.length === 0 ? 0 : Math.max(0, (event.timestamp - t0) / 1000);
+    const previous = timeline[timeline.length - 1];
+    if (previous && previous.participantId === event.participantId) continue;
+    if (previous) previous.end = start;
+    timeline.push({ participantId: event.participantId, start, end: duration });
+  }
+
+  if (timeline.length === 0 && fallbackId) {
+    timeline.push({ participantId: fallbackId, start: 0, end: duration });
+  }
+
+  return timeline.filter(range => range.end > range.start);
+}
+
+// participantIds are ordered by importance: the first one is the pip main view
+// and the default speaker
+function layoutCells(layout, participantIds, { width, height, timeline = [] }) {
+  const cells = new Map(participantIds.map(id => [id, []]));
+  const count = participantIds.length;
+
+  if (layout === 'grid') {
+    const cols = Math.ceil(Math.sqrt(count));
+    const rows = Math.ceil(count / cols);
+    const w = even(width / cols);
+    const h = even(height / rows);
+    participantIds.forEach((id, i) => {
+      cells.get(id).push({ x: (i % cols) * w, y: Math.floor(i / cols) * h, w, h });
+    });
+    return cells;
+  }
+
+  if (layout === 'speaker') {
+    const stripH = count > 1 ? even(height / 5) : 0;
+    const mainH = even(height - stripH);
+
+    // One main-view cell per speaker, shown during each of their turns
+    for (const id of participantIds) {
+      const turns = timeline.filter(range => range.participantId === id);
+      if (turns.length === 0) continue;
+      cells.get(id).push({
+        x: 0,
+        y: 0,
+        w: even(width),
+        h: mainH,
+        enable: turns.map(range => `between(t,${range.start.toFixed(3)},${range.end.toFixed(3)})`).join('+')
+      });
+    }
+
+    if (stripH > 0) {
+      const thumbW = even(Math.min(width / count, (stripH * 16) / 9));
+      const left = Math.floor((width - thumbW * count) / 2);
+      participantIds.forEach((id, i) => {
+        cells.get(id).push({ x: left + i * thumbW, y: mainH, w: thumbW, h: stripH });
+      });
+    }
+    return cells;
+  }
+
+  if (layout === 'pip') {
+    const margin = 16;
+    const w = even(width / 4);
+    const h = even(height / 4);
+    // Insets stack up from the bottom-right corner and wrap into columns further left;
+    // more than fit on the canvas falls back to a grid
+    const perColumn = Math.max(1, Math.floor((height - margin) / (h + margin)));
+    const columns = Math.max(1, Math.floor((width - margin) / (w + margin)));
+    if (count - 1 > perColumn * columns) {
+      return layoutCells('grid', participantIds, { width, height });
+    }
+
+    participantIds.forEach((id, i) => {
+      if (i === 0) {
+        cells.get(id).push({ x: 0, y: 0, w: even(width), h: even(height) });
+      } else {
+        const column = Math.floor((i - 1) / perColumn);
+        const row = (i - 1) % perColumn;
+        cells.get(id).push({ x: width - (column + 1) * (w + margin), y: height - (row + 1) * (h + margin), w, h });
+      }
+    });
+    return cells;
+  }
+
+  throw new Error(`Unknown layout: ${layout}`);
+}
+
+// filter_complex for a black canvas with every input overlaid into its cells.
+// inputs: [{ index, participantId, offset }] where offset (s) delays late joiners.
+function buildCompositeFilter({ inputs, cells, width, height, fps, duration }) {
+  const parts = [`color=c=black:s=${even(width)}x${even(height)}:r=${fps}:d=${duration.toFixed(3)}[base]`];
+  let last = 'base';
+  let step = 0;
+
+  for (const input of inputs) {
+    const inputCells = cells.get(input.participantId) || [];
+    if (inputCells.length === 0) continue;
+
+    const source = `p${input.index}`;
+    const copies = inputCells.map((cell, j) => `${source}_${j}`);
+    parts.push(`[${input.index}:v]setpts=PTS-STARTPTS+${input.offset.toFixed(3)}/TB,` +
+      `split=${copies.length}${copies.map(label => `[${label}]`).join('')}`);
+
+    inputCells.forEach((cell, j) => {
+      const scaled = `${source}_s${j}`;
+      const next = `v${step++}`;
+      parts.push(`[${copies[j]}]scale=${cell.w}:${cell.h}:force_original_aspect_ratio=decrease,` +
+        `pad=${cell.w}:${cell.h}:(ow-iw)/2:(oh-ih)/2[${scaled}]`);
+      parts.push(`[${last}][${scaled}]overlay=${cell.x}:${cell.y}:eof_action=pass` +
+        `${cell.enable ? `:enable='${cell.enable}'` : ''}[${next}]`);
+      last = next;
+    });
+  }
+
+  return { filter: parts.join(';'), output: last };
+}
+
+module.exports = { LAYOUTS, speakerTimeline, layoutCells, buildCompositeFilter };
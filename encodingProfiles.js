@@ -0,0 +1,210 @@
+// encodingProfiles.js - named output settings: codec, CRF/bitrate, preset, max resolution,
+// frame rate and container. A recording picks one at start (client option, else the room's
+// profile, else the server default) and keeps a copy in recording.options.encoding, so
+// segments encoded before and after a settings change still match.
+const fs = require('fs-extra');
+
+const CONTAINERS = {
+  mp4: { extension: 'mp4', muxArgs: ['-movflags', '+faststart'], subtitleCodec: 'mov_text' },
+  webm: { extension: 'webm', muxArgs: [], subtitleCodec: 'webvtt' },
+  m4a: { extension: 'm4a', muxArgs: ['-movflags', '+faststart'], subtitleCodec: null },
+  // Ogg Opus
+  opus: { extension: 'opus', muxArgs: [], subtitleCodec: null }
+};
+
+// video: null = audio only. maxHeight/fps: null = keep the capture's size and rate.
+const BUILTIN_PROFILES = {
+  standard: {
+    description: 'H.264, balanced (default)',
+    container: 'mp4',
+    video: { codec: 'libx264', preset: 'veryfast', crf: 23 },
+    audio: { codec: 'aac', bitrate: '128k' },
+    maxHeight: null,
+    fps: null
+  },
+  archive: {
+    description: 'H.265, slow preset: small files for long-term storage',
+    container: 'mp4',
+    video: { codec: 'libx265', preset: 'slow', crf: 26, args: ['-tag:v', 'hvc1'] },
+    audio: { codec: 'aac', bitrate: '160k' },
+    maxHeight: null,
+    fps: null
+  },
+  'archive-av1': {
+    description: 'AV1 (SVT-AV1), slow preset',
+    container: 'mp4',
+    video: { codec: 'libsvtav1', preset: '4', crf: 35 },
+    audio: { codec: 'aac', bitrate: '160k' },
+    maxHeight: null,
+    fps: null
+  },
+  'fast-share': {
+    description: 'H.264, fast preset, 720p / 15 fps for quick sharing',
+    container: 'mp4',
+    video: { codec: 'libx264', preset: 'superfast', crf: 28 },
+    audio: { codec: 'aac', bitrate: '96k' },
+    maxHeight: 720,
+    fps: 15
+  },
+  webm: {
+    description: 'VP9 + Opus in WebM',
+    container: 'webm',
+    video: { codec: 'libvpx-vp9', crf: 33, args: ['-b:v', '0', '-deadline', 'good', '-cpu-used', '4', '-row-mt', '1'] },
+    audio: { codec: 'libopus', bitrate: '96k' },
+    maxHeight: null,
+    fps: null
+  },
+  'audio-only': {
+    description: 'AAC audio in M4A, no video',
+    container: 'm4a',
+    video: null,
+    audio: { codec: 'aac', bitrate: '128k' },
+    maxHeight: null,
+    fps: null
+  },
+  'audio-opus': {
+    description: 'Opus audio (.opus), no video',
+    container: 'opus',
+    video: null,
+    audio: { codec: 'libopus', bitrate: '64k' },
+    maxHeight: null,
+    fps: null
+  }
+};
+
+function validateProfile(name, profile) {
+  if (!CONTAINERS[profile.container]) {
+    throw new Error(`Encoding profile ${name}: unknown container ${profile.container} (expected ${Object.keys(CONTAINERS).join(', ')})`);
+  }
+  if (profile.video && !profile.video.codec) {
+    throw new Error(`Encoding profile ${name}: video.codec is required`);
+  }
+  if (!profile.audio || !profile.audio.codec) {
+    throw new Error(`Encoding profile ${name}: audio.codec is required`);
+  }
+  return profile;
+}
+
+// "room-a:archive,room-b:webm" -> { 'room-a': 'archive', 'room-b': 'webm' }
+const parseRoomProfiles = (value) => Object.fromEntries(
+  String(value || '').split(',')
+    .map(pair => pair.split(':').map(part => part.trim()))
+    .filter(([roomId, name]) => roomId && name)
+);
+
+function createEncodingProfiles(options = {}) {
+  const profiles = { ...BUILTIN_PROFILES };
+
+  // Extra or replacement profiles from a JSON file: { "<name>": { container, video, audio, ... } }
+  if (options.file) {
+    for (const [name, profile] of Object.entries(fs.readJsonSync(options.file))) {
+      profiles[name] = validateProfile(name, { maxHeight: null, fps: null, ...profile });
+    }
+  }
+
+  const defaultProfile = options.defaultProfile || 'standard';
+  const roomProfiles = typeof options.roomProfiles === 'string'
+    ? parseRoomProfiles(options.roomProfiles)
+    : { ...options.roomProfiles };
+
+  for (const name of [defaultProfile, ...Object.values(roomProfiles)]) {
+    if (!profiles[name]) {
+      throw new Error(`Unknown encoding profile: ${name}`);
+    }
+  }
+
+  const names = () => Object.keys(profiles);
+
+  // Client choice, else the room's profile, else the server default
+  const resolve = (roomId, requested = null) => {
+    const name = requested || roomProfiles[roomId] || defaultProfile;
+    if (!profiles[name]) {
+      throw new Error(`Unknown encoding profile: ${name} (expected ${names().join(', ')})`);
+    }
+    return JSON.parse(JSON.stringify({ name, ...profiles[name] }));
+  };
+
+  const list = () => names().map(name => ({
+    name,
+    description: profiles[name].description || null,
+    container: profiles[name].container,
+    videoCodec: profiles[name].video ? profiles[name].video.codec : null,
+    audioCodec: profiles[name].audio.codec,
+    maxHeight: profiles[name].maxHeight,
+    fps: profiles[name].fps,
+    default: name === defaultProfile
+  }));
+
+  return { names, resolve, list };
+}
+
+const containerOf = (profile) => CONTAINERS[profile.container];
+
+// Constant-quality scale of each software codec (lower is better); codecs not listed use x264's
+const QUALITY_RANGES = {
+  libx264: [0, 51],
+  libx265: [0, 51],
+  'libvpx-vp9': [0, 63],
+  libsvtav1: [0, 63],
+  'libaom-av1': [0, 63]
+};
+
+// Requested quality -> CRF for the profile's codec, null to keep the profile's own; throws when
+// it is not a whole number in the codec's range. Audio-only profiles have nothing to apply it to.
+function resolveQuality(profile, quality) {
+  if (quality === undefined || quality === null || !profile.video) {
+    return null;
+  }
+
+  const codec = profile.video.requestedCodec || profile.video.codec;
+  const [min, max] = QUALITY_RANGES[codec] || QUALITY_RANGES.libx264;
+  const value = typeof quality === 'string' && quality.trim() !== '' ? Number(quality) : quality;
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`quality must be a whole number from ${min} to ${max} for ${codec}`);
+  }
+  return value;
+}
+
+// quality (recording.options.quality) overrides the profile's CRF. Hardware encoders take
+// the same value through their own constant-quality option (video.qualityArg).
+function videoCodecArgs(profile, { quality = null } = {}) {
+  const video = profile.video;
+  const crf = quality !== null && quality !== undefined ? quality : video.crf;
+  return [
+    '-c:v', video.codec,
+    '-pix_fmt', video.pixFmt || 'yuv420p',
+    ...(video.preset !== undefined && video.preset !== null ? ['-preset', String(video.preset)] : []),
+    ...(crf !== undefined && crf !== null ? [video.qualityArg || '-crf', String(crf)] : []),
+    ...(video.bitrate ? ['-b:v', video.bitrate] : []),
+    ...(video.maxrate ? ['-maxrate', video.maxrate, '-bufsize', video.bufsize || video.maxrate] : []),
+    ...(video.args || [])
+  ];
+}
+
+// Output frame rate: the profile's cap, never above what was captured
+const outputFps = (profile, captureFps = 30) => Math.min(profile.fps || captureFps, captureFps);
+
+function videoFilters(profile, { captureFps = 30 } = {}) {
+  const filters = [];
+  if (profile.maxHeight) {
+    filters.push(`scale=-2:'min(${profile.maxHeight},ih)'`);
+  }
+  filters.push(`fps=${outputFps(profile, captureFps)}`);
+  return filters;
+}
+
+function audioCodecArgs(profile) {
+  return ['-c:a', profile.audio.codec, ...(profile.audio.bitrate ? ['-b:a', profile.audio.bitrate] : [])];
+}
+
+module.exports = {
+  CONTAINERS,
+  BUILTIN_PROFILES,
+  createEncodingProfiles,
+  containerOf,
+  resolveQuality,
+  outputFps,
+  videoCodecArgs,
+  videoFilters,
+  audioCodecArgs
+};
@@ -0,0 +1,273 @@
+// ffmpegRuntime.js - the FFmpeg/ffprobe binaries, what this build can do and how hard a job may
+// push the CPU. server.js configures it once at startup (FFMPEG_PATH / FFPROBE_PATH, threads,
+// niceness) and probes the build; every FFmpeg process is spawned through here.
+const { spawn } = require('child_process');
+const os = require('os');
+const ffmpeg = require('fluent-ffmpeg');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('FFmpeg');
+
+const PROBE_TIMEOUT_MS = 15000;
+
+// Filters the recording pipeline relies on, reported on /health
+const PIPELINE_FILTERS = [
+  'scale', 'fps', 'concat', 'trim', 'atrim', 'setpts', 'asetpts', 'aresample',
+  'adelay', 'amix', 'overlay', 'pad', 'xstack', 'drawtext', 'subtitles', 'showwavespic',
+  'loudnorm', 'afftdn', 'highpass', 'silencedetect', 'freezedetect', 'select', 'aselect'
+];
+
+// Hardware encoders tried, in order, in place of a software codec. Each one is test-encoded
+// at startup: an encoder compiled in without a usable device fails there, not mid-recording.
+// VAAPI and VideoToolbox need device upload steps in the filter graph and are not used.
+const HARDWARE_ENCODERS = {
+  libx264: [
+    { codec: 'h264_nvenc', preset: 'p5', qualityArg: '-cq', args: ['-rc', 'vbr', '-b:v', '0'] },
+    { codec: 'h264_qsv', preset: 'medium', qualityArg: '-global_quality', pixFmt: 'nv12', args: [] }
+  ],
+  libx265: [
+    { codec: 'hevc_nvenc', preset: 'p5', qualityArg: '-cq', args: ['-rc', 'vbr', '-b:v', '0', '-tag:v', 'hvc1'] },
+    { codec: 'hevc_qsv', preset: 'medium', qualityArg: '-global_quality', pixFmt: 'nv12', args: ['-tag:v', 'hvc1'] }
+  ],
+  libsvtav1: [
+    { codec: 'av1_nvenc', preset: 'p5', qualityArg: '-cq', args: ['-rc', 'vbr', '-b:v', '0'] },
+    { codec: 'av1_qsv', preset: 'medium', qualityArg: '-global_quality', pixFmt: 'nv12', args: [] }
+  ]
+};
+
+// Software stand-ins when a profile's codec is not compiled into this build
+const SOFTWARE_FALLBACKS = {
+  libsvtav1: { codec: 'libaom-av1', preset: null, args: ['-b:v', '0', '-cpu-used', '6', '-row-mt', '1'] }
+};
+
+const settings = {
+  ffmpegPath: 'ffmpeg',
+  ffprobePath: 'ffprobe',
+  hardwareAcceleration: false,
+  threads: 0,
+  niceness: 0
+};
+
+let capabilities = null;
+let priorityWarned = false;
+
+// options: { ffmpegPath, ffprobePath, hardwareAcceleration, threads, niceness }
+// threads: 0 = FFmpeg decides; niceness: 0-19, applied to every processing job
+function configure(options = {}) {
+  settings.ffmpegPath = options.ffmpegPath || 'ffmpeg';
+  settings.ffprobePath = options.ffprobePath || 'ffprobe';
+  settings.hardwareAcceleration = options.hardwareAcceleration === true;
+  settings.threads = Math.max(0, parseInt(options.threads, 10) || 0);
+  settings.niceness = Math.min(19, Math.max(0, parseInt(options.niceness, 10) || 0));
+
+  // Thumbnails still go through fluent-ffmpeg
+  ffmpeg.setFfmpegPath(settings.ffmpegPath);
+  ffmpeg.setFfprobePath(settings.ffprobePath);
+  return { ...settings };
+}
+
+// Run a processing job below the socket handlers' priority
+function lowerPriority(child) {
+  if (!settings.niceness || !child.pid) {
+    return;
+  }
+  try {
+    os.setPriority(child.pid, settings.niceness);
+  } catch (error) {
+    if (!priorityWarned) {
+      priorityWarned = true;
+      logger(`⚠️ Could not lower job priority:`, error.message);
+    }
+  }
+}
+
+// Encoding job: the thread cap goes on the output (args end with the output path)
+function spawnFFmpeg(args) {
+  const limited = settings.threads
+    ? ['-filter_threads', String(settings.threads), ...args.slice(0, -1), '-threads', String(settings.threads), ...args.slice(-1)]
+    : args;
+  const child = spawn(settings.ffmpegPath, limited);
+  lowerPriority(child);
+  return child;
+}
+
+function spawnFFprobe(args) {
+  return spawn(settings.ffprobePath, args);
+}
+
+// Run a short command to completion: { code, stdout, stderr } (code null when it could not start)
+const capture = (bin, args) => new Promise((resolve) => {
+  let stdout = '';
+  let stderr = '';
+  let child;
+
+  try {
+    child = spawn(bin, args);
+  } catch (error) {
+    return resolve({ code: null, stdout, stderr: error.message });
+  }
+
+  const timer = setTimeout(() => child.kill('SIGKILL'), PROBE_TIMEOUT_MS);
+  child.stdout.on('data', data => { stdout += data; });
+  child.stderr.on('data', data => { stderr = (stderr + data).slice(-2000); });
+  child.on('error', error => {
+    clearTimeout(timer);
+    resolve({ code: null, stdout, stderr: error.message });
+  });
+  child.on('close', code => {
+    clearTimeout(timer);
+    resolve({ code, stdout, stderr });
+  });
+});
+
+// " V....D libx264   libx264 H.264 ..." -> { type: 'video', name: 'libx264' }
+const parseEncoders = (output) => {
+  const types = { V: 'video', A: 'audio', S: 'subtitle' };
+  const encoders = { video: [], audio: [], subtitle: [] };
+  for (const line of output.split('\n')) {
+    const match = /^\s([VAS])[A-Z.]{5}\s+(\S+)/.exec(line);
+    if (match && match[2] !== '=') {
+      encoders[types[match[1]]].push(match[2]);
+    }
+  }
+  return encoders;
+};
+
+// " TSC amix   N->A   Audio mixing." -> 'amix'
+const parseFilters = (output) => output.split('\n')
+  .map(line => /^\s[A-Z.]{2,3}\s+(\S+)\s+\S*->\S*\s/.exec(line))
+  .filter(Boolean)
+  .map(match => match[1]);
+
+// A tiny encode proves the encoder has a device behind it
+async function testEncoder({ codec, pixFmt = 'yuv420p' }) {
+  const { code } = await capture(settings.ffmpegPath, [
+    '-hide_banner', '-v', 'error',
+    '-f', 'lavfi', '-i', 'color=c=black:s=256x144:r=30:d=0.2',
+    '-frames:v', '3',
+    '-c:v', codec,
+    '-pix_fmt', pixFmt,
+    '-f', 'null', '-'
+  ]);
+  return code === 0;
+}
+
+// What the configured build offers: encoders, pipeline filters, hardware methods, and the
+// encoder each software codec maps to. Resolves { available: false } without FFmpeg.
+async function probe() {
+  const version = await capture(settings.ffmpegPath, ['-hide_banner', '-version']);
+  if (version.code !== 0) {
+    logger(`❌ FFmpeg not available at ${settings.ffmpegPath}: ${version.stderr.trim().split('\n').pop() || `exit ${version.code}`}`);
+    capabilities = { available: false, path: settings.ffmpegPath };
+    return capabilities;
+  }
+
+  const ffprobeVersion = await capture(settings.ffprobePath, ['-hide_banner', '-version']);
+  const encoders = parseEncoders((await capture(settings.ffmpegPath, ['-hide_banner', '-encoders'])).stdout);
+  const filters = new Set(parseFilters((await capture(settings.ffmpegPath, ['-hide_banner', '-filters'])).stdout));
+  const hwaccels = (await capture(settings.ffmpegPath, ['-hide_banner', '-hwaccels'])).stdout
+    .split('\n').slice(1).map(line => line.trim()).filter(Boolean);
+
+  const hardwareEncoders = [];
+  if (settings.hardwareAcceleration) {
+    for (const candidate of Object.values(HARDWARE_ENCODERS).flat()) {
+      if (encoders.video.includes(candidate.codec) && await testEncoder(candidate)) {
+        hardwareEncoders.push(candidate.codec);
+      }
+    }
+  }
+
+  capabilities = {
+    available: true,
+    path: settings.ffmpegPath,
+    version: (/version (\S+)/.exec(version.stdout) || [])[1] || null,
+    ffprobe: ffprobeVersion.code === 0,
+    encoders,
+    filters: Object.fromEntries(PIPELINE_FILTERS.map(name => [name, filters.has(name)])),
+    hwaccels,
+    hardwareAcceleration: settings.hardwareAcceleration,
+    hardwareEncoders,
+    limits: { threads: settings.threads || 'auto', niceness: settings.niceness }
+  };
+  capabilities.selected = Object.fromEntries(
+    ['libx264', 'libx265', 'libsvtav1', 'libvpx-vp9'].map(codec => [codec, pickVideoEncoder(codec).codec])
+  );
+
+  const missing = PIPELINE_FILTERS.filter(name => !filters.has(name));
+  logger(`🎬 FFmpeg ${capabilities.version}: ${encoders.video.length} video / ${encoders.audio.length} audio encoders` +
+    (hardwareEncoders.length ? `, hardware: ${hardwareEncoders.join(', ')}` : '') +
+    (missing.length ? `, missing filters: ${missing.join(', ')}` : ''));
+  if (!capabilities.ffprobe) {
+    logger(`⚠️ ffprobe not available at ${settings.ffprobePath}`);
+  }
+
+  return capabilities;
+}
+
+const getCapabilities = () => capabilities;
+
+// Capabilities without the full encoder lists, for /health
+const describe = () => {
+  if (!capabilities || !capabilities.available) {
+    return capabilities;
+  }
+  const { encoders, ...summary } = capabilities;
+  return { ...summary, encoderCount: { video: encoders.video.length, audio: encoders.audio.length } };
+};
+
+// Before the first probe every encoder is assumed present
+const hasEncoder = (codec) => !capabilities || !capabilities.available ||
+  capabilities.encoders.video.includes(codec) || capabilities.encoders.audio.includes(codec);
+
+// Best encoder for a profile's video codec: a working hardware encoder, the codec itself,
+// or a software stand-in. Returns the video settings to merge into the profile, or null.
+function pickVideoEncoder(codec) {
+  const hardware = (HARDWARE_ENCODERS[codec] || [])
+    .find(candidate => capabilities && (capabilities.hardwareEncoders || []).includes(candidate.codec));
+  if (hardware) {
+    return { ...hardware, hardware: true };
+  }
+  if (hasEncoder(codec)) {
+    return { codec };
+  }
+  const fallback = SOFTWARE_FALLBACKS[codec];
+  return fallback && hasEncoder(fallback.codec) ? { ...fallback } : { codec: null };
+}
+
+// A resolved encoding profile with the encoders this build actually has. Stored with the
+// recording, so its segments keep one encoder even if the probe result changes.
+function selectEncoders(profile) {
+  if (!capabilities || !capabilities.available) {
+    return profile;
+  }
+
+  if (!hasEncoder(profile.audio.codec)) {
+    throw new Error(`Encoding profile ${profile.name}: audio encoder ${profile.audio.codec} is not available in this FFmpeg build`);
+  }
+  if (!profile.video) {
+    return profile;
+  }
+
+  const picked = pickVideoEncoder(profile.video.codec);
+  if (!picked.codec) {
+    throw new Error(`Encoding profile ${profile.name}: video encoder ${profile.video.codec} is not available in this FFmpeg build`);
+  }
+  if (picked.codec === profile.video.codec) {
+    return profile;
+  }
+
+  return { ...profile, video: { ...profile.video, ...picked, requestedCodec: profile.video.codec } };
+}
+
+module.exports = {
+  configure,
+  probe,
+  getCapabilities,
+  describe,
+  hasEncoder,
+  selectEncoders,
+  spawnFFmpeg,
+  spawnFFprobe,
+  lowerPriority,
+  PIPELINE_FILTERS
+};
@@ -0,0 +1,158 @@
+// idleDetection.js - stretches of a recording where the screen doesn't change and nobody
+// speaks, and the plan for a "condensed" copy that drops or speeds them up. Still screens come
+// from the captured frame sizes when the frame index is complete, else from FFmpeg's
+// freezedetect on the encoded video; silence from silencedetect on the final audio.
+const IDLE_DEFAULTS = { minSeconds: 10 };
+
+// Consecutive WebP captures of an unchanged screen differ by a few bytes at most (cursor,
+// a clock); anything over this share of the run's first frame counts as a change
+const FRAME_SIZE_TOLERANCE = 0.01;
+const FREEZE_NOISE = 0.003;
+const SILENCE_THRESHOLD_DB = -45;
+
+// Seconds left untouched at both ends of an idle stretch, so a condensed cut keeps its context
+const EDGE_SECONDS = 1;
+const SPEEDS = { min: 2, max: 16, default: 4 };
+const CONDENSE_MODES = ['cut', 'speed'];
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+// Runs of frames whose size stays within tolerance -> [{ startTime, endTime }] (capture ms).
+// A run lasts until the first differing frame; clients that skip unchanged frames just leave a gap.
+function stillFrameRuns(frames, { minSeconds = IDLE_DEFAULTS.minSeconds } = {}) {
+  const runs = [];
+  let first = null;
+
+  const close = (endTime) => {
+    if (first && endTime - first.timestamp >= minSeconds * 1000) {
+      runs.push({ startTime: first.timestamp, endTime });
+    }
+  };
+
+  for (const frame of frames) {
+    if (first && Math.abs(frame.size - first.size) <= first.size * FRAME_SIZE_TOLERANCE) {
+      continue;
+    }
+    if (first) {
+      close(frame.timestamp);
+    }
+    first = frame;
+  }
+  if (first) {
+    close(frames[frames.length - 1].timestamp);
+  }
+
+  return runs;
+}
+
+const freezeDetectFilter = ({ minSeconds = IDLE_DEFAULTS.minSeconds } = {}) => `freezedetect=n=${FREEZE_NOISE}:d=${minSeconds}`;
+
+// Longer than audioProcessing's trim threshold: only pauses worth skipping
+const longSilenceFilter = ({ minSeconds = IDLE_DEFAULTS.minSeconds } = {}) => `silencedetect=n=${SILENCE_THRESHOLD_DB}dB:d=${minSeconds}`;
+
+// "<kind>_start: 12.3" / "<kind>_end: 20" lines (silencedetect, freezedetect) -> [{ start, end }];
+// a stretch still open at the end of the file (or reported past it) ends at durationSec
+function detectedIntervals(lines, kind, durationSec) {
+  const intervals = [];
+  const startPattern = new RegExp(`${kind}_start:\\s*(-?[\\d.]+)`);
+  const endPattern = new RegExp(`${kind}_end:\\s*(-?[\\d.]+)`);
+
+  for (const line of lines) {
+    const start = startPattern.exec(line);
+    const end = endPattern.exec(line);
+    if (start) {
+      intervals.push({ start: Math.max(0, parseFloat(start[1])), end: null });
+    } else if (end && intervals.length > 0 && intervals[intervals.length - 1].end === null) {
+      intervals[intervals.length - 1].end = parseFloat(end[1]);
+    }
+  }
+
+  return intervals
+    .map(interval => ({ start: round(interval.start), end: round(interval.end === null ? durationSec : Math.min(interval.end, durationSec)) }))
+    .filter(interval => interval.end > interval.start);
+}
+
+// Overlap of two sorted interval lists
+function intersectIntervals(a, b) {
+  const overlap = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    const start = Math.max(a[i].start, b[j].start);
+    const end = Math.min(a[i].end, b[j].end);
+    if (end > start) {
+      overlap.push({ start, end });
+    }
+    if (a[i].end < b[j].end) i++; else j++;
+  }
+  return overlap;
+}
+
+// Idle = still and silent; with only one of the two tracks, whichever was detected
+function idleIntervals({ still = null, silence = null, minSeconds = IDLE_DEFAULTS.minSeconds }) {
+  const intervals = still && silence ? intersectIntervals(still, silence) : still || silence || [];
+  return intervals
+    .filter(interval => interval.end - interval.start >= minSeconds)
+    .map(interval => ({ start: round(interval.start), end: round(interval.end) }));
+}
+
+// Condensed export plan over [0, durationSec]: { ranges: [{ start, end, speed }], duration }.
+// 'cut' leaves idle stretches out, 'speed' plays them `speed` times faster.
+function condensedRanges(intervals, durationSec, { mode = 'cut', speed = SPEEDS.default, minIdleSeconds = 0 } = {}) {
+  const ranges = [];
+  let position = 0;
+
+  for (const interval of intervals) {
+    const start = interval.start + EDGE_SECONDS;
+    const end = Math.min(interval.end, durationSec) - EDGE_SECONDS;
+    if (interval.end - interval.start < minIdleSeconds || end - start <= 0 || start < position) {
+      continue;
+    }
+    if (start > position) {
+      ranges.push({ start: round(position), end: round(start), speed: 1 });
+    }
+    if (mode === 'speed') {
+      ranges.push({ start: round(start), end: round(end), speed });
+    }
+    position = end;
+  }
+  if (durationSec > position) {
+    ranges.push({ start: round(position), end: round(durationSec), speed: 1 });
+  }
+
+  return {
+    ranges,
+    duration: round(ranges.reduce((total, range) => total + (range.end - range.start) / range.speed, 0))
+  };
+}
+
+// { mode, speed, minIdleSeconds } from a request -> validated condense options
+function resolveCondenseOptions({ mode = 'cut', speed, minIdleSeconds } = {}) {
+  if (!CONDENSE_MODES.includes(mode)) {
+    throw new Error(`Unknown condense mode: ${mode} (expected ${CONDENSE_MODES.join(', ')})`);
+  }
+
+  const factor = speed === undefined || speed === null ? SPEEDS.default : Number(speed);
+  if (mode === 'speed' && (!Number.isInteger(factor) || factor < SPEEDS.min || factor > SPEEDS.max)) {
+    throw new Error(`speed must be a whole number from ${SPEEDS.min} to ${SPEEDS.max}`);
+  }
+
+  const minSeconds = minIdleSeconds === undefined || minIdleSeconds === null ? 0 : Number(minIdleSeconds);
+  if (!Number.isFinite(minSeconds) || minSeconds < 0) {
+    throw new Error('minIdleSeconds must be a number of seconds >= 0');
+  }
+
+  return { mode, speed: mode === 'speed' ? factor : null, minIdleSeconds: minSeconds };
+}
+
+module.exports = {
+  IDLE_DEFAULTS,
+  CONDENSE_MODES,
+  stillFrameRuns,
+  freezeDetectFilter,
+  longSilenceFilter,
+  detectedIntervals,
+  idleIntervals,
+  condensedRanges,
+  resolveCondenseOptions
+};
@@ -0,0 +1,53 @@
+// logger.js - shared weekly file logger (logs/<year>-W<week>.log)
+const fs = require('fs-extra');
+const path = require('path');
+
+const logDir = path.join(__dirname, 'logs');
+
+function getYearWeek(date = new Date()) {
+  const today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const lastDayOfYear = new Date(`${date.getFullYear()}-12-31`)
+  const diffInDay = (lastDayOfYear - today) / (1000 * 60 * 60 * 24)
+  const totalDayPast = Math.ceil(365 - diffInDay)
+  const week = Math.floor(totalDayPast / 7)
+  return `${date.getFullYear()}-W${String(week).padStart(2, "0")}`
+}
+
+// usage
+const weekly = getYearWeek();
+
+const createLogDirAndLog = (msg)=>{
+
+	try{
+	// const montly = (new Date()).toISOString().slice(0, 7);
+	 if (!fs.existsSync(logDir)){
+        fs.mkdir(logDir, (err, data)=>{
+        	if (err) {
+        	  console.log(err)
+        	}
+        	console.log(data)
+        });
+	 }
+	
+	 const log = `${(new Date()).toISOString()}----${msg}\n`
+	 fs.writeFileSync(logDir+'/'+weekly+'.log', log, {flag: 'a'})
+	}catch(e){
+	  console.log(e)
+	}
+}
+
+
+
+const DEBUG = true; // Set to false to disable all logging
+const mode = 'file' // 'console' or 'file'
+const createLogger = (tag) => (...args) => {
+  if (!DEBUG) return;
+  if (mode === 'file') {
+    createLogDirAndLog(args.join(' '))
+  }else {
+   console.log(`[${tag}]`, ...args);
+  }
+   
+}
+
+module.exports = { createLogger, getYearWeek, logDir };
@@ -0,0 +1,69 @@
+// pauseTimeline.js - map capture timestamps onto the encoded timeline around pauses
+// Pauses are { start, end } in epoch ms (end is null while paused). In 'cut' mode paused
+// time is dropped; in 'card' mode every pause is replaced by a short title card.
+const PAUSE_MODES = ['cut', 'card'];
+
+const pauseEnd = (pause, now = Date.now()) => pause.end || now;
+
+// Milliseconds of pause between two capture timestamps
+function pausedBetween(pauses, from, to) {
+  return (pauses || []).reduce((total, pause) => {
+    const overlap = Math.min(to, pauseEnd(pause)) - Math.max(from, pause.start);
+    return overlap > 0 ? total + overlap : total;
+  }, 0);
+}
+
+// Pauses that start in [from, to) - each one gets a card between those two frames
+function pausesStartingBetween(pauses, from, to) {
+  return (pauses || []).filter(pause => pause.start >= from && pause.start < to);
+}
+
+// Seconds on the encoded timeline for a capture timestamp (t0 is the first frame)
+function toTimeline(pauses, t0, timestamp, { cardSeconds = 0 } = {}) {
+  const cards = cardSeconds ? pausesStartingBetween(pauses, t0, timestamp).length * cardSeconds : 0;
+  return Math.max(0, (timestamp - t0 - pausedBetween(pauses, t0, timestamp)) / 1000 + cards);
+}
+
+// Audio filter (comma-joined, '' when nothing to do) for a track that started at audioStart.
+// `cut` drops paused time the client kept recording through; cards are inserted as silence.
+function audioPauseFilter(pauses, audioStart, { cut = false, cardSeconds = 0 } = {}) {
+  const relevant = (pauses || []).filter(pause => pauseEnd(pause) > audioStart);
+  if (relevant.length === 0 || (!cut && !cardSeconds)) {
+    return '';
+  }
+
+  const filters = [];
+  if (cut) {
+    const ranges = relevant.map(pause => {
+      const start = Math.max(0, (pause.start - audioStart) / 1000);
+      return `between(t,${start.toFixed(3)},${((pauseEnd(pause) - audioStart) / 1000).toFixed(3)})`;
+    });
+    filters.push(`aselect='not(${ranges.join('+')})'`);
+  }
+  filters.push('asetpts=N/SR/TB');
+
+  if (cardSeconds) {
+    // Shift everything after each pause point, then let aresample fill the gaps with silence
+    const points = relevant
+      .filter(pause => pause.start >= audioStart)
+      .map(pause => ((pause.start - audioStart - pausedBetween(pauses, audioStart, pause.start)) / 1000).toFixed(3));
+    if (points.length > 0) {
+      filters.push(`asetpts='PTS+(${points.map(point => `gte(T,${point})`).join('+')})*${cardSeconds}/TB'`);
+      filters.push('aresample=async=1:first_pts=0');
+    }
+  }
+
+  return filters.join(',');
+}
+
+// Public view of the pause intervals for status responses
+function describePauses(pauses, t0, options = {}) {
+  return (pauses || []).map(pause => ({
+    start: new Date(pause.start),
+    end: pause.end ? new Date(pause.end) : null,
+    durationMs: pauseEnd(pause) - pause.start,
+    at: t0 ? toTimeline(pauses, t0, pause.start, options) : null
+  }));
+}
+
+module.exports = { PAUSE_MODES, pausedBetween, pausesStartingBetween, toTimeline, audioPauseFilter, describePauses };
@@ -0,0 +1,57 @@
+// roomPaths.js - room IDs and file names taken from URLs, checked before they reach the disk.
+// Express decodes each path segment on its own, so '%2F' or '..%2F' would otherwise turn one
+// segment into several directories and walk out of the room the caller was authorized for.
+const path = require('path');
+
+// Letters, digits, '_', '-' and '.', not starting with '.' (so never '.' or '..')
+const ROOM_ID_PATTERN = /^[\w-][\w.-]{0,127}$/;
+
+const isValidRoomId = (roomId) => typeof roomId === 'string' && ROOM_ID_PATTERN.test(roomId);
+
+// A single path segment: no separators, no '..', no NUL
+const isSafeSegment = (value) => typeof value === 'string' && value.length > 0 && value !== '.' &&
+  !/[/\\\0]/.test(value) && !value.includes('..');
+
+const safeDecode = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Decoded segments of a URL path ('/rooms/a/completed/x.mp4' -> ['rooms', 'a', 'completed', 'x.mp4']);
+// null when any segment decodes to something that is not a single safe segment
+function decodePathSegments(urlPath) {
+  const segments = String(urlPath).split('/').filter(Boolean).map(safeDecode);
+  return segments.every(isSafeSegment) ? segments : null;
+}
+
+// Room a /recordings path belongs to ('/rooms/<roomId>/...'), null for anything else
+function roomIdFromPath(urlPath) {
+  const segments = decodePathSegments(urlPath);
+  if (!segments || segments[0] !== 'rooms' || !isValidRoomId(segments[1])) {
+    return null;
+  }
+  return segments[1];
+}
+
+// Absolute path of <root>/rooms/<roomId>/<...parts>, or null when it would leave that room's directory
+function roomFilePath(root, roomId, ...parts) {
+  if (!isValidRoomId(roomId) || parts.length === 0 || !parts.every(isSafeSegment)) {
+    return null;
+  }
+
+  const roomDir = path.resolve(root, 'rooms', roomId);
+  const filePath = path.resolve(roomDir, ...parts);
+  return filePath.startsWith(roomDir + path.sep) ? filePath : null;
+}
+
+module.exports = {
+  ROOM_ID_PATTERN,
+  isValidRoomId,
+  isSafeSegment,
+  decodePathSegments,
+  roomIdFromPath,
+  roomFilePath
+};
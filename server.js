@@ -7,13 +7,30 @@ const path = require('path');
 const fs = require('fs-extra');
 const dotenv = require('dotenv');
 const RecordingManager = require('./RecordingManager');
+const RecordingCatalog = require('./RecordingCatalog');
+const ProcessingQueue = require('./ProcessingQueue');
+const RetentionManager = require('./RetentionManager');
+const RecordingSearch = require('./RecordingSearch');
+const Transcriber = require('./Transcriber');
+const { createEncodingProfiles } = require('./encodingProfiles');
+const ffmpegRuntime = require('./ffmpegRuntime');
+const { createAuth } = require('./auth');
+const { decodePathSegments, roomIdFromPath, roomFilePath, isValidRoomId, isSafeSegment } = require('./roomPaths');
+const { createUrlSigner } = require('./urlSigner');
+const { createStorage } = require('./storage');
+const { createLogger, logDir } = require('./logger');
 
 dotenv.config();
 
+const logger = createLogger('Server');
+
 const app = express();
 const server = http.createServer(app);
 const PORT = process.env.PORT || 4000;
 
+// Ogg Opus recordings (audio-opus profile) are missing from send's MIME table
+express.static.mime.define({ 'audio/ogg': ['opus'] });
+
 // CORS configuration
 app.use(cors({
   origin: process.env.CLIENT_URL_LOCAL || '*',
@@ -35,29 +52,145 @@ const io = new Server(server, {
   pingInterval: 25000
 });
 
+// Authentication: API key / signed tokens, room + role claims
+const auth = createAuth({
+  enabled: process.env.ENABLE_AUTH === 'true',
+  apiKey: process.env.API_KEY,
+  tokenSecret: process.env.AUTH_TOKEN_SECRET,
+  tokenTtl: parseInt(process.env.AUTH_TOKEN_TTL_SECONDS, 10) || 3600
+});
+
+io.use(auth.socketMiddleware);
+
+// Signed, expiring links for recording files (shareable without a token)
+const urlSigner = createUrlSigner({
+  enabled: process.env.ENABLE_SIGNED_URLS === 'true',
+  secret: process.env.URL_SIGNING_SECRET || process.env.AUTH_TOKEN_SECRET,
+  ttl: parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10) || 3600
+});
+
 // Room Managers Map
 const roomManagers = new Map();
 const recordingsDir = process.env.RECORDING_DIR || './ui-recordings';
 
+// Completed recordings and thumbnails: local disk (default) or an S3-compatible bucket
+const storage = createStorage({
+  driver: process.env.STORAGE_DRIVER || 'local',
+  root: recordingsDir,
+  s3: {
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    region: process.env.S3_REGION,
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: process.env.S3_PREFIX,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+    urlTtl: parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10) || 3600
+  }
+});
+
+// /recordings/<key>[?query] -> storage key
+const storageKeyFromUrl = (url) => decodeURIComponent(url.split('?')[0].replace(/^\/recordings\//, ''));
+
+// Status links besides fileUrl (a download) and hlsUrl; opened inline by clients
+const INLINE_URL_FIELDS = [
+  'playbackUrl', 'thumbnailUrl', 'chaptersUrl', 'markersUrl',
+  'transcriptUrl', 'transcriptVttUrl', 'transcriptSrtUrl'
+];
+
+// Status/payload as handed to clients: file links signed when signing is enabled,
+// presigned bucket URLs with remote storage. HLS stays on this server, which
+// rewrites playlists so every segment URI carries its own signature.
+function presentStatus(status) {
+  if (!status || (storage.isLocal && !urlSigner.enabled)) {
+    return status;
+  }
+
+  if (storage.isLocal) {
+    const signed = {
+      ...status,
+      fileUrl: urlSigner.sign(status.fileUrl),
+      hlsUrl: urlSigner.sign(status.hlsUrl),
+      urlExpiresAt: status.fileUrl || status.thumbnailUrl ? urlSigner.expiresAt() : null
+    };
+    for (const field of INLINE_URL_FIELDS) {
+      signed[field] = urlSigner.sign(status[field]);
+    }
+    return signed;
+  }
+
+  const presign = (url, options) => (url ? storage.getUrl(storageKeyFromUrl(url), options) : url);
+  const presigned = {
+    ...status,
+    fileUrl: presign(status.fileUrl),
+    hlsUrl: urlSigner.sign(status.hlsUrl),
+    urlExpiresAt: status.fileUrl || status.thumbnailUrl ? new Date(Date.now() + storage.urlTtl * 1000) : null
+  };
+  for (const field of INLINE_URL_FIELDS) {
+    presigned[field] = presign(status[field], { inline: true });
+  }
+  return presigned;
+}
+
 // Ensure base directories exist
 fs.ensureDirSync(recordingsDir);
 fs.ensureDirSync(path.join(recordingsDir, 'rooms'));
 
-// Check FFmpeg once
+// Persistent catalog of all recordings (survives restarts and room eviction)
+const catalog = new RecordingCatalog(recordingsDir).load();
+
+// Search over the catalog and stored transcripts
+const search = new RecordingSearch({ catalog, storage });
+
+// Background post-processing (encode, mux, thumbnail); state survives restarts
+const jobQueue = new ProcessingQueue({
+  maxConcurrent: parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 1,
+  maxRetries: process.env.JOB_MAX_RETRIES !== undefined ? parseInt(process.env.JOB_MAX_RETRIES, 10) : 2,
+  retryDelay: parseInt(process.env.JOB_RETRY_DELAY_MS, 10) || 5000,
+  statePath: path.join(recordingsDir, 'jobs.json')
+}).load();
+
+// Retention: recording expiry, disk quotas, free-space guard, temp and log cleanup
+const retention = new RetentionManager({
+  storagePath: recordingsDir,
+  catalog,
+  storage,
+  getManager: (roomId) => getRoomManager(roomId),
+  logDir
+}).load();
+
+// Offline transcription of finished recordings (whisper.cpp / Vosk CLI); off unless configured
+const transcriber = new Transcriber({
+  engine: process.env.TRANSCRIPTION_ENGINE,
+  bin: process.env.TRANSCRIPTION_BIN,
+  model: process.env.TRANSCRIPTION_MODEL,
+  language: process.env.TRANSCRIPTION_LANGUAGE,
+  threads: parseInt(process.env.TRANSCRIPTION_THREADS, 10) || 2,
+  timeoutMs: (parseFloat(process.env.TRANSCRIPTION_TIMEOUT_MINUTES) || 60) * 60 * 1000,
+  subtitles: process.env.TRANSCRIPT_SUBTITLES
+});
+
+// Named encoding profiles; a recording uses the client's choice, else its room's, else the default
+const encodingProfiles = createEncodingProfiles({
+  file: process.env.ENCODING_PROFILES_FILE,
+  defaultProfile: process.env.ENCODING_PROFILE,
+  roomProfiles: process.env.ROOM_ENCODING_PROFILES
+});
+
+// FFmpeg binaries and per-job CPU limits; jobs run niced so socket handlers stay responsive
+ffmpegRuntime.configure({
+  ffmpegPath: process.env.FFMPEG_PATH,
+  ffprobePath: process.env.FFPROBE_PATH,
+  hardwareAcceleration: process.env.ENABLE_HARDWARE_ACCELERATION === 'true',
+  threads: process.env.FFMPEG_THREADS,
+  niceness: process.env.FFMPEG_NICENESS !== undefined ? process.env.FFMPEG_NICENESS : 10
+});
+
+// Check FFmpeg once: encoders, filters and working hardware encoders
 let isFFmpegAvailable = false;
-const checkFFmpeg = () => {
-  const ffmpeg = require('fluent-ffmpeg');
-  return new Promise((resolve) => {
-    ffmpeg.getAvailableFormats((err) => {
-      if (err) {
-        
-        resolve(false);
-      } else {
-        
-        resolve(true);
-      }
-    });
-  });
+const checkFFmpeg = async () => {
+  const capabilities = await ffmpegRuntime.probe();
+  return capabilities.available;
 };
 
 // Get or create room manager
@@ -65,7 +198,34 @@ function getRoomManager(roomId, socketId='') {
   if (!roomManagers.has(roomId)) {
     const manager = new RecordingManager(roomId, socketId, {
       isFFmpegAvailable,
-      storagePath: recordingsDir
+      storagePath: recordingsDir,
+      catalog,
+      jobQueue,
+      storage,
+      maxActiveRecordings: parseInt(process.env.MAX_RECORDINGS_PER_ROOM, 10) || 4,
+      hlsByDefault: process.env.ENABLE_HLS === 'true',
+      segmentDuration: parseInt(process.env.SEGMENT_DURATION_SECONDS || '60', 10),
+      pauseMode: process.env.PAUSE_MODE === 'card' ? 'card' : 'cut',
+      pauseCardSeconds: parseFloat(process.env.PAUSE_CARD_SECONDS) || 2,
+      transcriber,
+      encodingProfiles,
+      audioProcessing: {
+        loudnorm: process.env.AUDIO_LOUDNORM === 'true',
+        loudnessTarget: parseFloat(process.env.AUDIO_LOUDNESS_TARGET) || -16,
+        denoise: process.env.AUDIO_DENOISE === 'true',
+        trimSilence: process.env.AUDIO_TRIM_SILENCE === 'true',
+        mono: process.env.AUDIO_MONO === 'true'
+      },
+      idleDetection: process.env.IDLE_DETECTION === 'true',
+      idleMinSeconds: parseFloat(process.env.IDLE_MIN_SECONDS) || 10,
+      onProgress: (recording, processing) => {
+        io.to(roomId).emit('recording-processing-progress', {
+          recordingId: recording.id,
+          roomId,
+          jobId: recording.jobId || null,
+          ...processing
+        });
+      }
     });
     roomManagers.set(roomId, manager);
     
@@ -81,11 +241,39 @@ function getRoomManager(roomId, socketId='') {
   return manager;
 }
 
+// Captures and encodes in flight, and queue jobs not yet finished
+const BUSY_RECORDING_STATUSES = ['initializing', 'recording', 'paused', 'stopping', 'queued', 'processing'];
+const PENDING_JOB_STATUSES = ['queued', 'running', 'retrying'];
+
+// A room is busy while any of its recordings (in memory or catalogued) is still being
+// captured or encoded, or a job for it is waiting in the queue
+function roomHasPendingWork(roomId, manager) {
+  const recordings = [...manager.recordings.values(), ...catalog.getRoomRecordings(roomId)];
+  if (recordings.some(recording => BUSY_RECORDING_STATUSES.includes(recording.status))) {
+    return true;
+  }
+  return PENDING_JOB_STATUSES.some(status => jobQueue.listJobs({ status })
+    .some(job => job.payload && job.payload.roomId === roomId));
+}
+
+// Manager of a room that already exists (loaded, or evicted but still in the catalog), else null.
+// Read paths use this so unknown room IDs never get directories created for them.
+function findRoomManager(roomId) {
+  if (roomManagers.has(roomId)) {
+    return roomManagers.get(roomId);
+  }
+  return catalog.getRoomIds().includes(roomId) ? getRoomManager(roomId) : null;
+}
+
 // Clean up inactive room managers
 function cleanupInactiveRooms() {
   const oneHourAgo = Date.now() - (60 * 60 * 1000);
   
   for (const [roomId, manager] of roomManagers.entries()) {
+    if (roomHasPendingWork(roomId, manager)) {
+      continue;
+    }
+
     const status = manager.getStatus();
     if (!status || (status.completedAt && status.completedAt.getTime() < oneHourAgo)) {
       manager.cleanup();
@@ -95,42 +283,242 @@ function cleanupInactiveRooms() {
   }
 }
 
+// Queue recordings left half-captured by a crash for encoding
+async function recoverInterruptedRecordings() {
+  if (!isFFmpegAvailable) {
+    return;
+  }
+
+  // Catalogued rooms plus any room with temp dirs the catalog may not know about
+  const roomsDir = path.join(recordingsDir, 'rooms');
+  const diskRooms = [];
+  for (const roomId of await fs.pathExists(roomsDir) ? await fs.readdir(roomsDir) : []) {
+    const tempDir = path.join(roomsDir, roomId, 'temp');
+    if (isValidRoomId(roomId) && await fs.pathExists(tempDir) && (await fs.readdir(tempDir)).length > 0) {
+      diskRooms.push(roomId);
+    }
+  }
+
+  for (const roomId of new Set([...catalog.getRoomIds(), ...diskRooms])) {
+    const manager = getRoomManager(roomId);
+    try {
+      await manager.recoverInterruptedRecordings();
+    } catch (error) {
+      logger(`❌ Recovery failed for room ${roomId}:`, error.message);
+    }
+  }
+}
+
+// Job handlers
+jobQueue.registerHandler('finalize-recording', async ({ roomId, recordingId, withAudio }, context) => {
+  const recording = await getRoomManager(roomId).finalizeRecording(recordingId, withAudio, context);
+  return {
+    recordingId: recording.id,
+    fileUrl: recording.fileUrl,
+    hlsUrl: recording.hlsUrl || null,
+    thumbnailUrl: recording.thumbnailUrl,
+    recovered: !!recording.recovered
+  };
+});
+
+jobQueue.registerHandler('export-clip', async ({ roomId, recordingId }, context) => {
+  const clip = await getRoomManager(roomId).exportClip(recordingId, context);
+  return {
+    recordingId: clip.id,
+    sourceRecordingId: clip.clip.sourceRecordingId,
+    fileUrl: clip.fileUrl,
+    thumbnailUrl: clip.thumbnailUrl,
+    mode: clip.clip.mode
+  };
+});
+
+jobQueue.on('completed', (job) => {
+  if (job.type === 'export-clip') {
+    io.to(job.payload.roomId).emit('clip-ready', {
+      ...presentStatus(job.result),
+      roomId: job.payload.roomId,
+      jobId: job.id,
+      timestamp: new Date().toISOString()
+    });
+    return;
+  }
+  if (job.type !== 'finalize-recording') return;
+
+  io.to(job.payload.roomId).emit('recording-stopped', {
+    ...presentStatus(job.result),
+    roomId: job.payload.roomId,
+    jobId: job.id,
+    timestamp: new Date().toISOString()
+  });
+});
+
+jobQueue.on('failed', (job) => {
+  if (job.type === 'export-clip') {
+    io.to(job.payload.roomId).emit('clip-error', {
+      error: 'Failed to export clip',
+      details: job.error,
+      recordingId: job.payload.recordingId,
+      jobId: job.id
+    });
+    return;
+  }
+  if (job.type !== 'finalize-recording') return;
+
+  io.to(job.payload.roomId).emit('recording-error', {
+    error: 'Failed to process recording',
+    details: job.error,
+    recordingId: job.payload.recordingId,
+    jobId: job.id
+  });
+});
+
 // Set interval to clean up inactive rooms
 setInterval(cleanupInactiveRooms, 30 * 60 * 1000);
 
-// Serve static files with roomId decoding/mapping
-app.use('/recordings/rooms/:encodedRoomId/:folder/:file', (req, res) => {
+// Send a recording file with byte-range (206), ETag/Last-Modified and 304 support.
+// inline=true lets a <video> tag play and seek it; otherwise it downloads as an attachment.
+function sendRecordingFile(res, filePath, { inline = false, filename = path.basename(filePath) } = {}) {
+  res.sendFile(path.resolve(filePath), {
+    acceptRanges: true,
+    lastModified: true,
+    etag: true,
+    headers: {
+      'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename="${filename.replace(/"/g, '')}"`,
+      'Cache-Control': 'private, max-age=0, must-revalidate'
+    }
+  }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+}
+
+// Serve a stored file from disk, or redirect to a presigned URL for remote storage
+async function serveStoredFile(res, key, { inline = false, filename } = {}) {
+  if (!storage.isLocal) {
+    return res.redirect(302, storage.getUrl(key, { inline, filename }));
+  }
+
+  const filePath = storage.localPath(key);
+  if (!await fs.pathExists(filePath)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  sendRecordingFile(res, filePath, { inline, filename });
+}
+
+// Recording files: with signed URLs the signature is the only credential,
+// otherwise callers authenticate and are limited to rooms they may access.
+// Segments are checked decoded, the way the handlers below receive them.
+// Only rooms/ is served: catalog.json, jobs.json and retention.json share the directory.
+app.use('/recordings', (req, res, next) => {
+  if (!decodePathSegments(req.path)) {
+    return res.status(400).json({ error: 'Invalid path' });
+  }
+  if (!roomIdFromPath(req.path)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  next();
+}, (req, res, next) => {
+  if (urlSigner.enabled) {
+    return urlSigner.requireSignature(req, res, next);
+  }
+  auth.requireAuth(req, res, next);
+}, (req, res, next) => {
+  if (urlSigner.enabled) {
+    return next();
+  }
+
+  const roomId = roomIdFromPath(req.path);
+  if (auth.enabled && (!roomId || !auth.canAccessRoom(req.auth, roomId))) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  next();
+});
+
+// Signed URLs authorize a single file; otherwise the caller needs access to its room
+const canReadRoomFiles = (req, roomId) => urlSigner.enabled || auth.canAccessRoom(req.auth, roomId);
+
+// HLS playlists and segments. With signed URLs every URI inside a playlist is
+// signed too, because players resolve them relative to the playlist without its query.
+// With remote storage the URIs become presigned bucket URLs instead.
+app.get('/recordings/rooms/:encodedRoomId/completed/:recordingId/hls/*', async (req, res) => {
   try {
-    const encodedRoomId = req.params.encodedRoomId;
-    const folder = req.params.folder; // 'completed' or 'thumbnails'
-    const file = req.params.file;
-    
-    // Decode the roomId (it was URL encoded, e.g., atstQ1WlLUo3mvL8ANj_PLqO)
-    const decodedRoomId = decodeURIComponent(encodedRoomId);
-    
-    // Reconstruct path using sanitized roomId
-    const filePath = path.resolve(recordingsDir, 'rooms', decodedRoomId, folder, file);
-    
-    // Verify file exists and is within recordings directory (security check)
-    const absPath = path.resolve(filePath);
-    const absRecordingsDir = path.resolve(recordingsDir);
-    if (!absPath.startsWith(absRecordingsDir)) {
+    // Route params arrive decoded already
+    const roomId = req.params.encodedRoomId;
+    if (!isValidRoomId(roomId) || !isSafeSegment(req.params.recordingId) || !canReadRoomFiles(req, roomId)) {
       return res.status(403).json({ error: 'Access denied' });
     }
-    
-    if (!fs.existsSync(absPath)) {
+
+    const hlsPrefix = ['rooms', roomId, 'completed', req.params.recordingId, 'hls'].join('/');
+    const key = path.posix.normalize(`${hlsPrefix}/${req.params[0]}`);
+
+    if (!key.startsWith(hlsPrefix + '/')) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Players request playlists and segments without our headers: under auth without URL
+    // signing, every URI served from here carries a short-lived viewer token for this room
+    const needsToken = auth.enabled && !urlSigner.enabled;
+    const rewrite = !storage.isLocal || urlSigner.enabled || needsToken;
+    if (!rewrite || !key.endsWith('.m3u8')) {
+      return serveStoredFile(res, key, { inline: true });
+    }
+
+    if (needsToken && !auth.canIssueTokens) {
+      return res.status(400).json({ error: 'HLS playback with ENABLE_AUTH needs AUTH_TOKEN_SECRET or ENABLE_SIGNED_URLS' });
+    }
+
+    if (!await storage.exists(key)) {
       return res.status(404).json({ error: 'File not found' });
     }
-    
-    res.download(absPath);
+
+    const playlistUrl = req.originalUrl.split('?')[0];
+    const baseUrl = playlistUrl.slice(0, playlistUrl.lastIndexOf('/') + 1);
+    const baseKey = key.slice(0, key.lastIndexOf('/') + 1);
+    const token = needsToken
+      ? auth.issueToken({ sub: req.auth.sub, role: 'viewer', rooms: [roomId] }, urlSigner.ttl)
+      : null;
+    const localUri = (uri) => (token
+      ? `${baseUrl}${uri}?token=${encodeURIComponent(token)}`
+      : urlSigner.sign(baseUrl + uri));
+    const uriFor = (uri) => (uri.endsWith('.m3u8') || storage.isLocal
+      ? localUri(uri)
+      : storage.getUrl(path.posix.normalize(baseKey + uri), { inline: true }));
+
+    const playlist = (await storage.read(key)).toString('utf8');
+    const signed = playlist
+      .split('\n')
+      .map(line => (line && !line.startsWith('#') ? uriFor(line.trim()) : line))
+      .join('\n');
+
+    res.type('application/vnd.apple.mpegurl').send(signed);
   } catch (error) {
-    
     res.status(500).json({ error: error.message });
   }
 });
 
-// Fallback static serve for other paths
-app.use('/recordings', express.static(recordingsDir));
+// Serve completed files and thumbnails: /recordings/rooms/<roomId>/<folder>/<file>
+app.use('/recordings/rooms/:encodedRoomId/:folder/:file', async (req, res) => {
+  try {
+    // Route params arrive decoded; each has to stay a single segment inside the room
+    const roomId = req.params.encodedRoomId;
+    const { folder, file } = req.params;
+
+    const filePath = roomFilePath(recordingsDir, roomId, folder, file);
+    if (!filePath || !canReadRoomFiles(req, roomId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const key = ['rooms', roomId, folder, file].join('/');
+    await serveStoredFile(res, key, { inline: req.query.inline === '1' || req.query.inline === 'true' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fallback static serve for other room files
+app.use('/recordings/rooms', express.static(path.join(recordingsDir, 'rooms')));
 
 // Health endpoint
 app.get('/health', (req, res) => {
@@ -138,54 +526,410 @@ app.get('/health', (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     ffmpegAvailable: isFFmpegAvailable,
+    ffmpeg: ffmpegRuntime.describe(),
     activeRooms: roomManagers.size,
+    jobs: jobQueue.getStats(),
+    storage: storage.isLocal ? 'local' : 's3',
+    retention: retention.lastRun ? { lastRun: retention.lastRun.finishedAt } : null,
     server: 'ui-recording-server'
   });
 });
 
-// Get room recording status
-app.get('/api/v1/rooms/:roomId/recording/status', (req, res) => {
+// Everything under /api/v1 requires an API key or token when auth is enabled
+app.use('/api/v1', auth.requireAuth);
+
+// Issue a room-scoped token for a meeting participant (API key holders only)
+app.post('/api/v1/auth/token', auth.requireAdmin, (req, res) => {
   try {
-    const manager = getRoomManager(req.params.roomId);
-    const status = manager.getStatus();
+    const { userId, rooms, role = 'participant', expiresIn } = req.body || {};
+
+    if (!userId || !rooms) {
+      return res.status(400).json({ error: 'userId and rooms are required' });
+    }
+
+    const token = auth.issueToken({ sub: userId, rooms, role }, expiresIn);
+    res.json({ token });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Processing jobs
+app.get('/api/v1/jobs', auth.requireAdmin, (req, res) => {
+  const jobs = jobQueue.listJobs({ status: req.query.status, type: req.query.type });
+  res.json({ jobs, total: jobs.length, stats: jobQueue.getStats() });
+});
+
+app.get('/api/v1/jobs/:jobId', (req, res) => {
+  const job = jobQueue.getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.payload && !auth.canAccessRoom(req.auth, job.payload.roomId)) {
+    return res.status(403).json({ error: 'Access denied for this room' });
+  }
+
+  res.json({ ...job, result: presentStatus(job.result) });
+});
+
+// Encoding profiles a recording can be started with
+app.get('/api/v1/encoding-profiles', (req, res) => {
+  // available: this FFmpeg build has the profile's encoders (or a stand-in for them)
+  const available = (name) => {
+    try {
+      ffmpegRuntime.selectEncoders(encodingProfiles.resolve(null, name));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+  res.json({ profiles: encodingProfiles.list().map(profile => ({ ...profile, available: available(profile.name) })) });
+});
+
+// Storage usage and retention settings
+app.get('/api/v1/storage', auth.requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      usage: await retention.getUsage(),
+      settings: retention.getSettings(),
+      lastRun: retention.lastRun
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.patch('/api/v1/storage/retention', auth.requireAdmin, async (req, res) => {
+  try {
+    const settings = await retention.updateSettings(req.body || {});
+    res.json({ settings });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Run every retention rule now
+app.post('/api/v1/storage/cleanup', auth.requireAdmin, async (req, res) => {
+  try {
+    const result = await retention.run();
+    if (!result) {
+      return res.status(409).json({ error: 'A cleanup run is already in progress' });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Room IDs in API paths follow the same pattern as recording start
+app.param('roomId', (req, res, next, roomId) => {
+  if (!isValidRoomId(roomId)) {
+    return res.status(400).json({ error: 'Invalid roomId' });
+  }
+  next();
+});
+
+// Get room recording status (the room's current recording, or ?recordingId=)
+app.get([
+  '/api/v1/rooms/:roomId/recording/status',
+  '/api/v1/rooms/:roomId/recordings/:recordingId'
+], auth.requireRoomAccess(), (req, res) => {
+  try {
+    const manager = findRoomManager(req.params.roomId);
+    const recordingId = req.params.recordingId || req.query.recordingId;
+    const status = manager && manager.getStatus(recordingId);
     
     if (!status) {
-      return res.status(404).json({ error: 'No active recording in this room' });
+      return res.status(404).json({ error: recordingId ? 'Recording not found' : 'No active recording in this room' });
     }
     
-    res.json(status);
+    res.json(presentStatus(status));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Markers ("decision made", "demo starts") of a recording; written as chapters at finalize
+app.get([
+  '/api/v1/rooms/:roomId/recording/markers',
+  '/api/v1/rooms/:roomId/recordings/:recordingId/markers'
+], auth.requireRoomAccess(), (req, res) => {
+  try {
+    const manager = findRoomManager(req.params.roomId);
+    const status = manager && manager.getStatus(req.params.recordingId || req.query.recordingId);
+
+    if (!status) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    const { chaptersUrl, markersUrl } = presentStatus(status);
+    res.json({ recordingId: status.id, markers: status.markers, chaptersUrl, markersUrl });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post([
+  '/api/v1/rooms/:roomId/recording/markers',
+  '/api/v1/rooms/:roomId/recordings/:recordingId/markers'
+], auth.requireRoomAccess(), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!auth.hasRole(req.auth, roomId, 'participant')) {
+      return res.status(403).json({ error: 'Participants only' });
+    }
+
+    const manager = findRoomManager(roomId);
+    if (!manager) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    const { label, timestamp } = req.body || {};
+    const recordingId = manager.resolveRecording(req.params.recordingId || req.query.recordingId).id;
+    const marker = await manager.addMarker(recordingId, {
+      label,
+      timestamp,
+      // Token holders author as themselves; API-key callers may name the author
+      author: req.auth && req.auth.type === 'token' ? req.auth.sub : (req.body || {}).author
+    });
+
+    io.to(roomId).emit('recording-marker-added', { recordingId, roomId, marker });
+    res.status(201).json(marker);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Title, description, tags and custom key/value metadata of a recording
+app.get([
+  '/api/v1/rooms/:roomId/recording/metadata',
+  '/api/v1/rooms/:roomId/recordings/:recordingId/metadata'
+], auth.requireRoomAccess(), (req, res) => {
+  try {
+    const manager = findRoomManager(req.params.roomId);
+    const status = manager && manager.getStatus(req.params.recordingId || req.query.recordingId);
+
+    if (!status) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    res.json({ recordingId: status.id, ...status.metadata });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// { title?, description?, tags?, custom? }; a null custom value removes that key
+app.patch([
+  '/api/v1/rooms/:roomId/recording/metadata',
+  '/api/v1/rooms/:roomId/recordings/:recordingId/metadata'
+], auth.requireRoomAccess(), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const manager = findRoomManager(roomId);
+    const status = manager && manager.getStatus(req.params.recordingId || req.query.recordingId);
+
+    if (!status) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    if (!auth.canControlRecording(req.auth, status)) {
+      return res.status(403).json({ error: 'Only the host or the recording owner can edit this recording' });
+    }
+
+    const metadata = await manager.updateMetadata(status.id, req.body || {});
+    io.to(roomId).emit('recording-metadata-updated', { recordingId: status.id, roomId, metadata });
+    res.json({ recordingId: status.id, ...metadata });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Clips cut from a finished recording; each clip is a recording of its own (type 'clip')
+app.get('/api/v1/rooms/:roomId/recordings/:recordingId/clips', auth.requireRoomAccess(), (req, res) => {
+  try {
+    const manager = findRoomManager(req.params.roomId);
+    const clips = (manager ? manager.getStatuses() : [])
+      .filter(status => status.clip && status.clip.sourceRecordingId === req.params.recordingId)
+      .map(presentStatus);
+    res.json({ recordingId: req.params.recordingId, clips, total: clips.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// { ranges: [{ start, end }] (seconds), title? } -> 202 with the clip id and its export job
+app.post('/api/v1/rooms/:roomId/recordings/:recordingId/clips', auth.requireRoomAccess(), async (req, res) => {
+  try {
+    const { roomId, recordingId } = req.params;
+    if (!auth.hasRole(req.auth, roomId, 'participant')) {
+      return res.status(403).json({ error: 'Participants only' });
+    }
+
+    const manager = findRoomManager(roomId);
+    if (!manager) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    await retention.assertCanStart(roomId);
+    const { ranges, title } = req.body || {};
+    const clip = await manager.createClip(recordingId, {
+      ranges,
+      title,
+      userId: req.auth && req.auth.type === 'token' ? req.auth.sub : (req.body || {}).userId
+    });
+
+    res.status(202).json(presentStatus(manager.getStatus(clip.id)));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// { mode: 'cut'|'speed', speed?, minIdleSeconds?, title? } -> 202 with a clip of the recording
+// that drops (or plays `speed` times faster) its idle stretches; listed with the clips
+app.post('/api/v1/rooms/:roomId/recordings/:recordingId/condensed', auth.requireRoomAccess(), async (req, res) => {
+  try {
+    const { roomId, recordingId } = req.params;
+    if (!auth.hasRole(req.auth, roomId, 'participant')) {
+      return res.status(403).json({ error: 'Participants only' });
+    }
+
+    const manager = findRoomManager(roomId);
+    if (!manager) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    await retention.assertCanStart(roomId);
+    const { mode, speed, minIdleSeconds, title } = req.body || {};
+    const condensed = await manager.createCondensed(recordingId, {
+      mode,
+      speed,
+      minIdleSeconds,
+      title,
+      userId: req.auth && req.auth.type === 'token' ? req.auth.sub : (req.body || {}).userId
+    });
+
+    res.status(202).json(presentStatus(manager.getStatus(condensed.id)));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Transcript of a finished recording (?format=vtt|srt|json, default vtt)
+app.get([
+  '/api/v1/rooms/:roomId/recording/transcript',
+  '/api/v1/rooms/:roomId/recordings/:recordingId/transcript'
+], auth.requireRoomAccess(), async (req, res) => {
+  try {
+    const manager = findRoomManager(req.params.roomId);
+    const status = manager && manager.getStatus(req.params.recordingId || req.query.recordingId);
+    const format = req.query.format || 'vtt';
+    const url = { vtt: 'transcriptVttUrl', srt: 'transcriptSrtUrl', json: 'transcriptUrl' }[format];
+
+    if (!url) {
+      return res.status(400).json({ error: 'format must be vtt, srt or json' });
+    }
+
+    if (!status || !status[url]) {
+      return res.status(404).json({ error: 'No transcript for this recording' });
+    }
+
+    if (storage.isLocal && urlSigner.enabled) {
+      return res.redirect(302, urlSigner.sign(status[url]));
+    }
+
+    const filename = `${status.id}.${format}`;
+    await serveStoredFile(res, storageKeyFromUrl(status[url]), { inline: req.query.inline === '1', filename });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// List all rooms with recordings
+// Every recording in a room, newest first (?type=ui-screen|audio|clip)
+app.get('/api/v1/rooms/:roomId/recordings', auth.requireRoomAccess(), (req, res) => {
+  try {
+    const manager = findRoomManager(req.params.roomId);
+    const recordings = (manager ? manager.getStatuses() : [])
+      .filter(status => !req.query.type || status.type === req.query.type)
+      .map(presentStatus);
+    res.json({
+      roomId: req.params.roomId,
+      recordings,
+      active: recordings.filter(status => ['recording', 'paused'].includes(status.status)).length,
+      total: recordings.length
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Search recordings by room/user id, filename, marker labels and transcript text
+// (?q=&roomId=&userId=&type=&status=&from=&to=&page=&limit=)
+app.get('/api/v1/recordings/search', async (req, res) => {
+  try {
+    const result = await search.search(req.query, {
+      canAccess: (roomId) => auth.canAccessRoom(req.auth, roomId)
+    });
+    res.json({ ...result, hits: result.hits.map(presentStatus) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// List all rooms with recordings: live rooms plus every room in the catalog
 app.get('/api/v1/rooms', (req, res) => {
   const rooms = [];
   
   for (const [roomId, manager] of roomManagers.entries()) {
     const status = manager.getStatus();
-    if (status) {
+    if (status && auth.canAccessRoom(req.auth, roomId)) {
       rooms.push({
         roomId,
         recordingId: status.id,
+        type: status.type,
         status: status.status,
         startedAt: status.startedAt,
         duration: status.duration,
         framesWritten: status.framesWritten,
-        audioChunksReceived: status.audioChunksReceived
+        audioChunksReceived: status.audioChunksReceived,
+        activeRecordings: manager.getActiveRecordings().length,
+        recordings: manager.getStatuses().length,
+        loaded: true
       });
     }
   }
+
+  // Rooms evicted from memory are described from their latest catalog entry
+  for (const room of catalog.getRooms()) {
+    if (roomManagers.has(room.roomId) || !auth.canAccessRoom(req.auth, room.roomId)) continue;
+    const latest = search.describe(room.latest);
+    rooms.push({
+      roomId: room.roomId,
+      recordingId: latest.recordingId,
+      type: latest.type,
+      status: latest.status,
+      startedAt: latest.startedAt,
+      duration: latest.duration,
+      framesWritten: room.latest.stats.framesWritten || 0,
+      audioChunksReceived: room.latest.stats.audioChunksReceived || 0,
+      activeRecordings: 0,
+      recordings: room.recordings,
+      loaded: false
+    });
+  }
   
   res.json({ rooms, total: rooms.length });
 });
 
 // Download recording for a room
-app.get('/api/v1/rooms/:roomId/recording/download', async (req, res) => {
+app.get([
+  '/api/v1/rooms/:roomId/recording/download',
+  '/api/v1/rooms/:roomId/recordings/:recordingId/download'
+], auth.requireRoomAccess(), async (req, res) => {
   try {
-    const manager = getRoomManager(req.params.roomId);
-    const status = manager.getStatus();
+    const manager = findRoomManager(req.params.roomId);
+    const status = manager && manager.getStatus(req.params.recordingId || req.query.recordingId);
     
     if (!status || !status.fileUrl) {
       return res.status(404).json({ error: 'No completed recording found for this room' });
@@ -193,11 +937,23 @@ app.get('/api/v1/rooms/:roomId/recording/download', async (req, res) => {
     
     // Extract filename from fileUrl
     const filename = status.fileUrl.split('/').pop();
-    const filePath = path.join(recordingsDir, 'rooms', req.params.roomId, 'completed', filename);
+    const key = storageKeyFromUrl(status.fileUrl);
+
+    // Remote storage: redirect to a presigned bucket URL
+    if (!storage.isLocal) {
+      return res.redirect(302, storage.getUrl(key, { filename }));
+    }
+
+    const filePath = storage.localPath(key);
     
     if (!await fs.pathExists(filePath)) {
       return res.status(404).json({ error: 'File not found' });
     }
+
+    // Hand out a short-lived link instead of streaming through the API
+    if (urlSigner.enabled) {
+      return res.redirect(302, urlSigner.sign(status.fileUrl));
+    }
     
     res.download(filePath, filename);
   } catch (error) {
@@ -205,21 +961,78 @@ app.get('/api/v1/rooms/:roomId/recording/download', async (req, res) => {
   }
 });
 
+// Inline playback of the room's recording (Range requests, seekable in a <video> tag)
+app.get([
+  '/api/v1/rooms/:roomId/recording/stream',
+  '/api/v1/rooms/:roomId/recordings/:recordingId/stream'
+], auth.requireRoomAccess(), async (req, res) => {
+  try {
+    const manager = findRoomManager(req.params.roomId);
+    const status = manager && manager.getStatus(req.params.recordingId || req.query.recordingId);
+
+    if (!status || !status.fileUrl) {
+      return res.status(404).json({ error: 'No completed recording found for this room' });
+    }
+
+    if (storage.isLocal && urlSigner.enabled) {
+      return res.redirect(302, urlSigner.sign(status.playbackUrl));
+    }
+
+    const filename = status.fileUrl.split('/').pop();
+    await serveStoredFile(res, storageKeyFromUrl(status.fileUrl), { inline: true, filename });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Socket.IO handlers
 io.on('connection', (socket) => {
   
+  // Throw unless this socket's claims grant at least `minimumRole` in the room
+  const authorizeRoom = (roomId, minimumRole = 'viewer') => {
+    if (!auth.hasRole(socket.data.auth, roomId, minimumRole)) {
+      throw new Error(`Not authorized for room ${roomId}`);
+    }
+  };
+
+  // Pause/resume/stop are reserved for the room host and the recording's owner
+  const authorizeControl = (manager, recordingId) => {
+    const recording = manager.resolveRecording(recordingId);
+    if (!auth.canControlRecording(socket.data.auth, recording)) {
+      throw new Error('Only the host or the recording owner can control this recording');
+    }
+    return recording.id;
+  };
+
+  // Composite recordings: a token holder always sends as themselves
+  const participantIdFor = (requested) => (
+    socket.data.auth && socket.data.auth.type === 'token' ? socket.data.auth.sub : requested
+  );
 
   socket.on('join-recording-room', (roomId) => {
+    try {
+      authorizeRoom(roomId);
+    } catch (error) {
+      socket.emit('recording-error', {
+        error: 'Failed to join room',
+        details: error.message
+      });
+      return;
+    }
+
     socket.join(roomId);
     
     
-    const manager = getRoomManager(roomId, socket.id);
+    const manager = findRoomManager(roomId);
+    if (!manager) {
+      return;
+    }
     // Ensure manager is bound to the latest socket
     manager.setSocketId(socket.id);
     const status = manager.getStatus();
     
     if (status) {
-      socket.emit('recording-status', status);
+      socket.emit('recording-status', presentStatus(status));
     }
   });
 
@@ -231,20 +1044,32 @@ io.on('connection', (socket) => {
   // Start UI Recording
   socket.on('start-ui-recording', async (data, callback) => {
     try {
-      const { roomId, userId, options = {} } = data;
+      const { roomId, options = {} } = data;
+      // With a token the owner is whoever the token was issued to
+      const userId = socket.data.auth && socket.data.auth.type === 'token'
+        ? socket.data.auth.sub
+        : data.userId;
       
       if (!roomId || !userId) {
         throw new Error('roomId and userId are required');
       }
+      if (!isValidRoomId(roomId)) {
+        throw new Error('Invalid roomId');
+      }
 
+      authorizeRoom(roomId, 'participant');
+      await retention.assertCanStart(roomId);
       const manager = getRoomManager(roomId);
       ///console.log("Manager in start-ui-recording:", manager, options);
-      const recording = await manager.startUIRecording(userId, options);
+      const recording = await manager.startUIRecording(userId, options, socket.id);
       
       socket.to(roomId).emit('recording-started', {
         recordingId: recording.id,
         roomId,
         userId,
+        type: recording.type,
+        layout: recording.options.layout,
+        profile: recording.options.profile,
         timestamp: new Date().toISOString()
       });
 
@@ -252,6 +1077,9 @@ io.on('connection', (socket) => {
         callback({
           success: true,
           recordingId: recording.id,
+          type: recording.type,
+          layout: recording.options.layout,
+          profile: recording.options.profile,
           message: 'UI recording started'
         });
       }
@@ -281,15 +1109,17 @@ io.on('connection', (socket) => {
         throw new Error('roomId, recordingId and frameBlob are required');
       }
 
+      authorizeRoom(roomId, 'participant');
       const manager = getRoomManager(roomId);
       
       // frameBlob is a binary Buffer sent from browser
       const frameBuffer = Buffer.isBuffer(frameBlob) ? frameBlob : Buffer.from(frameBlob);
       
       const result = await manager.addUIFrame(
+        recordingId,
         frameBuffer,
         timestamp || Date.now(),
-        metadata
+        { ...metadata, participantId: participantIdFor(metadata.participantId) }
       );
 
       if (callback) {
@@ -315,9 +1145,13 @@ io.on('connection', (socket) => {
         throw new Error('roomId, recordingId and frames array are required');
       }
 
+      authorizeRoom(roomId, 'participant');
       const manager = getRoomManager(roomId);
   
-      const results = await manager.addBulkFrames(recordingId, frames);
+      const results = await manager.addBulkFrames(recordingId, frames.map(frame => ({
+        ...frame,
+        metadata: { ...(frame.metadata || {}), participantId: participantIdFor(frame.metadata && frame.metadata.participantId) }
+      })));
       
       if (callback) {
         callback({
@@ -336,17 +1170,21 @@ io.on('connection', (socket) => {
   // Audio chunks
   socket.on('audio-chunk', async (data, callback) => {
     try {
-      const { roomId, recordingId, audioData, timestamp, index } = data;
+      const { roomId, recordingId, audioData, timestamp, index, participantId, startedAt } = data;
     
       if (!roomId || !recordingId || !audioData) {
         throw new Error('roomId, recordingId and audioData are required');
       }
 
+      authorizeRoom(roomId, 'participant');
       const manager = getRoomManager(roomId);
       const size = Buffer.from(audioData, 'base64').length;
       
       
-      await manager.addAudioChunk(recordingId, audioData, timestamp, index);
+      await manager.addAudioChunk(recordingId, audioData, timestamp, index, {
+        participantId: participantIdFor(participantId),
+        startedAt
+      });
       
       if (callback) {
         callback({ success: true });
@@ -359,6 +1197,36 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Bookmark the current moment of a recording
+  socket.on('add-recording-marker', async (data, callback) => {
+    try {
+      const { roomId, label, timestamp } = data;
+
+      if (!roomId || !label) {
+        throw new Error('roomId and label are required');
+      }
+
+      authorizeRoom(roomId, 'participant');
+      const manager = getRoomManager(roomId);
+      const recordingId = manager.resolveRecording(data.recordingId).id;
+      const marker = await manager.addMarker(recordingId, {
+        label,
+        timestamp,
+        author: participantIdFor(data.userId)
+      });
+
+      io.to(roomId).emit('recording-marker-added', { recordingId, roomId, marker });
+
+      if (callback) {
+        callback({ success: true, marker });
+      }
+    } catch (error) {
+      if (callback) {
+        callback({ success: false, error: error.message });
+      }
+    }
+  });
+
   // Pause Recording
   socket.on('pause-recording', async (data, callback) => {
     try {
@@ -368,8 +1236,10 @@ io.on('connection', (socket) => {
         throw new Error('roomId is required');
       }
 
+      authorizeRoom(roomId, 'participant');
       const manager = getRoomManager(roomId);
-      const recording = await manager.pauseRecording();
+      const recordingId = authorizeControl(manager, data.recordingId);
+      const recording = await manager.pauseRecording(recordingId);
       
       socket.to(roomId).emit('recording-paused', {
         recordingId: recording.id,
@@ -403,8 +1273,10 @@ io.on('connection', (socket) => {
         throw new Error('roomId is required');
       }
 
+      authorizeRoom(roomId, 'participant');
       const manager = getRoomManager(roomId);
-      const recording = await manager.resumeRecording();
+      const recordingId = authorizeControl(manager, data.recordingId);
+      const recording = await manager.resumeRecording(recordingId);
       
       socket.to(roomId).emit('recording-resumed', {
         recordingId: recording.id,
@@ -438,14 +1310,16 @@ io.on('connection', (socket) => {
         throw new Error('roomId is required');
       }
 
+      authorizeRoom(roomId, 'participant');
       const manager = getRoomManager(roomId);
-      const recording = await manager.stopRecording(withAudio);
+      const recordingId = authorizeControl(manager, data.recordingId);
+      const recording = await manager.stopRecording(recordingId, withAudio);
      // console.log("Recording stopped:", recording);
-      socket.to(roomId).emit('recording-stopped', {  
+      // 'recording-stopped' goes out to the room once the finalize job completes
+      socket.to(roomId).emit('recording-processing', {
         recordingId: recording.id,
         roomId,
-        fileUrl: recording.fileUrl,
-        thumbnailUrl: recording.thumbnailUrl,
+        jobId: recording.jobId,
         timestamp: new Date().toISOString()
       });
     
@@ -453,6 +1327,8 @@ io.on('connection', (socket) => {
         const response = {
           success: true,
           recordingId: recording.id,
+          jobId: recording.jobId,
+          status: recording.status,
           fileUrl: recording.fileUrl,
           thumbnailUrl: recording.thumbnailUrl
         };
@@ -482,14 +1358,15 @@ io.on('connection', (socket) => {
         throw new Error('roomId is required');
       }
 
-      const manager = getRoomManager(roomId);
-      const status = manager.getStatus();
+      authorizeRoom(roomId);
+      const manager = findRoomManager(roomId);
+      const status = manager && manager.getStatus(data.recordingId);
       
       if (callback) {
         if (status) {
-          callback({ success: true, ...status });
+          callback({ success: true, ...presentStatus(status) });
         } else {
-          callback({ success: false, error: 'No active recording in this room' });
+          callback({ success: false, error: data.recordingId ? 'Recording not found' : 'No active recording in this room' });
         }
       }
     } catch (error) {
@@ -503,13 +1380,12 @@ io.on('connection', (socket) => {
   socket.on('disconnect', async () => {
     
     
+    // Stop only the recordings this connection started
     for (const [roomId, manager] of roomManagers.entries()) {
-      if (manager.getSocketId() === socket.id) {
-        try {
-          await manager.cleanup();
-        } catch (error) {
-          
-        }
+      try {
+        await manager.cleanup(socket.id);
+      } catch (error) {
+        
       }
     }
   });
@@ -518,28 +1394,55 @@ io.on('connection', (socket) => {
 // Initialize FFmpeg and start server
 checkFFmpeg().then((available) => {
   isFFmpegAvailable = available;
+
+  // Rebuild room state from the catalog so finished recordings stay reachable
+  for (const roomId of catalog.getRoomIds()) {
+    getRoomManager(roomId);
+  }
   
   server.listen(PORT, () => {
     
 
   });
+
+  jobQueue.resume();
+
+  // Retention starts only after recovery has catalogued the temp dirs a crash left behind
+  recoverInterruptedRecordings()
+    .catch(error => logger(`❌ Recovery failed:`, error.message))
+    .then(() => {
+      retention.start();
+      return retention.run();
+    })
+    .catch(error => logger(`❌ Retention run failed:`, error.message));
 });
 
 // Cleanup on exit
 process.on('SIGINT', async () => {
   
   try {
-    for (const [roomId, manager] of roomManagers.entries()) {
-      await manager.cleanup();
-    }
+    // Every room gets stopped before exiting, whichever of them fail
+    const rooms = Array.from(roomManagers.entries());
+    const results = await Promise.allSettled(rooms.map(([, manager]) => manager.cleanup()));
+    let failed = 0;
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        failed += 1;
+        logger(`❌ Cleanup failed for room ${rooms[i][0]}:`, result.reason.message);
+      } else {
+        failed += result.value.length;
+      }
+    });
     
+    retention.stop();
+    await jobQueue.persist();
     io.close();
     server.close();
     
     
-    process.exit(0);
+    process.exit(failed > 0 ? 1 : 0);
   } catch (error) {
-    
+    logger(`❌ Shutdown failed:`, error.message);
     process.exit(1);
   }
 });
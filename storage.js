@@ -0,0 +1,27 @@
+// storage.js - pick the storage backend for completed recordings and thumbnails
+// Adapter interface (keys are '/'-separated, e.g. rooms/<roomId>/completed/<file>.mp4):
+//   isLocal                         true when files can be served straight from disk
+//   localPath(key)                  absolute path on disk, or null for remote stores
+//   put(key, file)                  take ownership of a local file (moved / uploaded)
+//   putDirectory(prefix, dir)       same for a directory tree (HLS renditions)
+//   read(key) / download(key, file) fetch an object
+//   exists(key), remove(key), removePrefix(prefix)
+//   getUrl(key, { expiresIn, inline, filename })  link a client can fetch
+const LocalStorageAdapter = require('./LocalStorageAdapter');
+const S3StorageAdapter = require('./S3StorageAdapter');
+
+function createStorage(options = {}) {
+  const driver = options.driver || 'local';
+
+  if (driver === 'local') {
+    return new LocalStorageAdapter({ root: options.root });
+  }
+
+  if (driver === 's3') {
+    return new S3StorageAdapter(options.s3);
+  }
+
+  throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+module.exports = { createStorage, LocalStorageAdapter, S3StorageAdapter };
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveAudioProcessing, parseLoudnorm, silenceBounds } = require('../audioProcessing');
+
+test('leading and trailing silence is trimmed with padding kept', () => {
+  const lines = [
+    '[silencedetect @ 0x1] silence_start: 0',
+    '[silencedetect @ 0x1] silence_end: 2.5 | silence_duration: 2.5',
+    '[silencedetect @ 0x1] silence_start: 30',
+    '[silencedetect @ 0x1] silence_end: 33 | silence_duration: 3',
+    '[silencedetect @ 0x1] silence_start: 57.5',
+    '[silencedetect @ 0x1] silence_end: 60 | silence_duration: 2.5'
+  ];
+  assert.deepStrictEqual(silenceBounds(lines, 60), { start: 2.25, end: 57.75 });
+});
+
+test('trailing silence without a silence_end runs to the end of the file', () => {
+  assert.deepStrictEqual(silenceBounds(['silence_start: 40'], 60), { start: 0, end: 40.25 });
+});
+
+test('audio with no edge silence, or nothing but silence, is left alone', () => {
+  assert.deepStrictEqual(silenceBounds([], 60), { start: 0, end: null });
+  assert.deepStrictEqual(silenceBounds(['silence_start: 10', 'silence_end: 15'], 60), { start: 0, end: null });
+  assert.deepStrictEqual(silenceBounds(['silence_start: 0'], 60), { start: 0, end: null });
+  assert.deepStrictEqual(silenceBounds(['silence_start: 0', 'silence_end: 60'], 60), { start: 0, end: null });
+});
+
+test('per-recording settings override the server defaults', () => {
+  const settings = resolveAudioProcessing({ denoise: 1, loudnessTarget: '-23' }, { loudnorm: true, mono: true });
+  assert.deepStrictEqual(settings, { loudnorm: true, loudnessTarget: -23, denoise: true, trimSilence: false, mono: true });
+  assert.throws(() => resolveAudioProcessing({ loudnessTarget: 0 }), /loudnessTarget must be between -70 and -5/);
+  assert.throws(() => resolveAudioProcessing({ echo: true }), /Unknown audioProcessing setting: echo/);
+  assert.throws(() => resolveAudioProcessing('loud'), /audioProcessing must be an object/);
+});
+
+test('loudnorm measurements are read from the analysis pass', () => {
+  const lines = ['[Parsed_loudnorm_0 @ 0x1]', '{', '"input_i" : "-27.61",', '"input_tp" : "-4.47",', '"target_offset" : "0.58"', '}'];
+  assert.deepStrictEqual(parseLoudnorm(lines), { input_i: '-27.61', input_tp: '-4.47', target_offset: '0.58' });
+  assert.strictEqual(parseLoudnorm(['{', '"input_i" : "-inf"', '}']), null);
+  assert.strictEqual(parseLoudnorm(['no json here']), null);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAuth, signToken, verifyToken } = require('../auth');
+
+const secret = 'test-secret';
+const auth = createAuth({ enabled: true, apiKey: 'key-1', tokenSecret: secret });
+
+test('tokens grant the rooms they list, with their role', () => {
+  const identity = auth.authenticate({ token: signToken({ sub: 'u1', role: 'participant', rooms: ['a'] }, secret) });
+  assert.ok(auth.canAccessRoom(identity, 'a'));
+  assert.ok(!auth.canAccessRoom(identity, 'b'));
+  assert.ok(auth.hasRole(identity, 'a', 'participant'));
+  assert.ok(!auth.hasRole(identity, 'a', 'host'));
+});
+
+test('per-room roles and wildcard rooms', () => {
+  const perRoom = { sub: 'u2', rooms: { a: 'host', b: 'viewer' } };
+  assert.ok(auth.hasRole(perRoom, 'a', 'host'));
+  assert.ok(auth.canAccessRoom(perRoom, 'b'));
+  assert.ok(!auth.hasRole(perRoom, 'b', 'participant'));
+  assert.ok(!auth.canAccessRoom(perRoom, 'c'));
+  assert.ok(auth.canAccessRoom({ sub: 'svc', role: 'viewer', rooms: '*' }, 'anything'));
+  assert.ok(!auth.canAccessRoom(null, 'a'));
+});
+
+test('the API key is an admin for every room', () => {
+  const identity = auth.authenticate({ apiKey: 'key-1' });
+  assert.ok(auth.hasRole(identity, 'any-room', 'admin'));
+  assert.throws(() => auth.authenticate({ apiKey: 'wrong' }), /Invalid API key/);
+});
+
+test('tampered, expired and unsigned tokens are rejected', () => {
+  const token = signToken({ sub: 'u1', rooms: ['a'] }, secret);
+  const [header, , signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'u1', rooms: '*', role: 'admin' })).toString('base64url');
+  assert.throws(() => verifyToken(`${header}.${forged}.${signature}`, secret), /Invalid token signature/);
+  assert.throws(() => verifyToken(token, 'other-secret'), /Invalid token signature/);
+  assert.throws(() => verifyToken(signToken({ sub: 'u1', exp: 1 }, secret), secret), /Token expired/);
+  assert.throws(() => auth.authenticate({}), /Authentication required/);
+});
+
+test('with auth disabled every caller may access every room', () => {
+  const open = createAuth({ enabled: false });
+  assert.ok(open.canAccessRoom(null, 'a'));
+  assert.ok(open.hasRole(null, 'a', 'host'));
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const RecordingManager = require('../RecordingManager');
+
+// Stopped recordings go to this queue instead of being encoded
+const jobQueue = { enqueue: () => ({ id: 'job-1' }) };
+
+test('frames and audio are refused once a recording is stopped', async (t) => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'guards-'));
+  t.after(() => fs.remove(root));
+
+  const manager = new RecordingManager('room-1', null, { storagePath: root, isFFmpegAvailable: true, jobQueue, segmentDuration: 0 });
+  const recording = await manager.startUIRecording('host');
+  const now = Date.now();
+
+  await manager.addUIFrame(recording.id, Buffer.from('frame'), now);
+  await manager.addAudioChunk(recording.id, 'YQ==', now + 1000, 0);
+
+  // index and timestamp name the chunk file; none of these may steer it out of the audio dir
+  for (const [timestamp, index, startedAt] of [[now, '../../x'], ['1/../../x', 0], [now, -1], [now, 0.5], [now, 0, 'soon'], [now, 0, -5]]) {
+    await assert.rejects(manager.addAudioChunk(recording.id, 'YQ==', timestamp, index, { startedAt }), /must be non-negative integers/);
+  }
+
+  // Audio keeps arriving through a pause (it is cut at encode time); frames do not
+  await manager.pauseRecording(recording.id);
+  await manager.addAudioChunk(recording.id, 'YQ==', now + 2000, 1);
+  await assert.rejects(manager.addUIFrame(recording.id, Buffer.from('frame'), now + 2000), /recording status is: paused/);
+  await manager.resumeRecording(recording.id);
+
+  await manager.stopRecording(recording.id);
+  assert.strictEqual(manager.getStatus(recording.id).status, 'queued');
+  await assert.rejects(manager.addUIFrame(recording.id, Buffer.from('frame'), now + 3000), /Cannot add frame - recording status is: queued/);
+  await assert.rejects(manager.addAudioChunk(recording.id, 'YQ==', now + 3000, 2), /Cannot add audio - recording status is: queued/);
+
+  const audioFiles = await fs.readdir(recording.audioDir);
+  assert.strictEqual(audioFiles.length, 2);
+});
+
+test('cleanup stops every recording even when one fails to stop', async (t) => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'guards-'));
+  t.after(() => fs.remove(root));
+
+  const manager = new RecordingManager('room-1', null, { storagePath: root, isFFmpegAvailable: true, jobQueue, segmentDuration: 0 });
+  const first = await manager.startUIRecording('host');
+  const second = await manager.startUIRecording('guest');
+
+  const stopRecording = manager.stopRecording.bind(manager);
+  manager.stopRecording = (recordingId, ...args) => (recordingId === first.id
+    ? Promise.reject(new Error('disk full'))
+    : stopRecording(recordingId, ...args));
+
+  const failures = await manager.cleanup();
+  assert.deepStrictEqual(failures.map(failure => [failure.recordingId, failure.error.message]), [[first.id, 'disk full']]);
+  assert.strictEqual(manager.getStatus(second.id).status, 'queued');
+});
+
+test('a failed finalize stays queued while the queue will retry it', async (t) => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'guards-'));
+  t.after(() => fs.remove(root));
+
+  const manager = new RecordingManager('room-1', null, { storagePath: root, isFFmpegAvailable: true, jobQueue, segmentDuration: 0 });
+  const recording = await manager.startUIRecording('host');
+  await manager.stopRecording(recording.id);
+
+  // Nothing was captured, so every attempt fails
+  const job = { attempts: 1, maxRetries: 2 };
+  await assert.rejects(manager.finalizeRecording(recording.id, true, { job }));
+  assert.strictEqual(manager.getStatus(recording.id).status, 'queued');
+
+  job.attempts = 3;
+  await assert.rejects(manager.finalizeRecording(recording.id, true, { job }));
+  assert.strictEqual(manager.getStatus(recording.id).status, 'failed');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { speakerTimeline, layoutCells } = require('../compositeLayout');
+
+const ids = (count) => Array.from({ length: count }, (_, i) => `p${i}`);
+const onCanvas = (cell, width, height) => cell.x >= 0 && cell.y >= 0 && cell.x + cell.w <= width && cell.y + cell.h <= height;
+const overlaps = (a, b) => a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+
+test('grid cells tile the canvas without overlapping', () => {
+  const cells = [...layoutCells('grid', ids(5), { width: 1280, height: 720 }).values()].flat();
+  assert.strictEqual(cells.length, 5);
+  cells.forEach((cell, i) => {
+    assert.ok(onCanvas(cell, 1280, 720));
+    cells.slice(i + 1).forEach(other => assert.ok(!overlaps(cell, other)));
+  });
+  assert.deepStrictEqual(cells[3], { x: 0, y: 360, w: 426, h: 360 });
+});
+
+test('pip insets stay on the canvas and wrap into new columns', () => {
+  const cells = layoutCells('pip', ids(6), { width: 1280, height: 720 });
+  assert.deepStrictEqual(cells.get('p0'), [{ x: 0, y: 0, w: 1280, h: 720 }]);
+
+  const insets = ids(6).slice(1).map(id => cells.get(id)[0]);
+  insets.forEach((cell, i) => {
+    assert.ok(onCanvas(cell, 1280, 720), `inset ${i} is off the canvas`);
+    insets.slice(i + 1).forEach(other => assert.ok(!overlaps(cell, other)));
+  });
+  assert.deepStrictEqual(insets[0], { x: 944, y: 524, w: 320, h: 180 });
+  // Three fit in a column at 720p; the fourth starts the next one to the left
+  assert.strictEqual(insets[3].x, 944 - 336);
+  assert.strictEqual(insets[3].y, 524);
+});
+
+test('pip falls back to a grid when the insets no longer fit', () => {
+  const cells = [...layoutCells('pip', ids(11), { width: 1280, height: 720 }).values()].flat();
+  const grid = [...layoutCells('grid', ids(11), { width: 1280, height: 720 }).values()].flat();
+  assert.deepStrictEqual(cells, grid);
+});
+
+test('speaker cells follow the timeline and keep a thumbnail strip', () => {
+  const timeline = speakerTimeline([
+    { participantId: 'p1', timestamp: 1000 },
+    { participantId: 'p0', timestamp: 5000 }
+  ], 1000, 10, 'p0');
+  assert.deepStrictEqual(timeline, [
+    { participantId: 'p1', start: 0, end: 4 },
+    { participantId: 'p0', start: 4, end: 10 }
+  ]);
+
+  const cells = layoutCells('speaker', ['p0', 'p1'], { width: 1280, height: 720, timeline });
+  assert.strictEqual(cells.get('p1')[0].enable, 'between(t,0.000,4.000)');
+  assert.strictEqual(cells.get('p0')[0].enable, 'between(t,4.000,10.000)');
+  assert.strictEqual(cells.get('p0')[1].y, cells.get('p0')[0].h);
+});
+
+test('unknown layouts are rejected', () => {
+  assert.throws(() => layoutCells('mosaic', ids(2), { width: 640, height: 360 }), /Unknown layout: mosaic/);
+});
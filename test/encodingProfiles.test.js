@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BUILTIN_PROFILES, resolveQuality, videoCodecArgs } = require('../encodingProfiles');
+
+const profile = (name) => ({ name, ...BUILTIN_PROFILES[name] });
+
+test('quality must be a whole number in the codec range', () => {
+  assert.strictEqual(resolveQuality(profile('standard'), 51), 51);
+  assert.strictEqual(resolveQuality(profile('standard'), '18'), 18);
+  assert.strictEqual(resolveQuality(profile('webm'), 63), 63);
+  assert.strictEqual(resolveQuality(profile('standard'), null), null);
+
+  assert.throws(() => resolveQuality(profile('standard'), 52), /from 0 to 51 for libx264/);
+  assert.throws(() => resolveQuality(profile('archive'), -1), /from 0 to 51 for libx265/);
+  assert.throws(() => resolveQuality(profile('webm'), 64), /from 0 to 63 for libvpx-vp9/);
+  for (const invalid of [22.5, 'high', '', true, {}]) {
+    assert.throws(() => resolveQuality(profile('standard'), invalid), /quality must be a whole number/);
+  }
+});
+
+test('a hardware encoder is checked against the codec the profile asked for', () => {
+  const hardware = { ...profile('standard'), video: { codec: 'h264_nvenc', qualityArg: '-cq', requestedCodec: 'libx264' } };
+  assert.throws(() => resolveQuality(hardware, 60), /for libx264/);
+  assert.deepStrictEqual(videoCodecArgs(hardware, { quality: 30 }).slice(-2), ['-cq', '30']);
+});
+
+test('quality overrides the profile CRF, including 0', () => {
+  const args = videoCodecArgs(profile('standard'), { quality: 0 });
+  assert.strictEqual(args[args.indexOf('-crf') + 1], '0');
+  const defaults = videoCodecArgs(profile('standard'));
+  assert.strictEqual(defaults[defaults.indexOf('-crf') + 1], '23');
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  stillFrameRuns,
+  detectedIntervals,
+  idleIntervals,
+  condensedRanges,
+  resolveCondenseOptions
+} = require('../idleDetection');
+
+test('runs of same-sized frames are still stretches', () => {
+  const frames = [
+    ...Array.from({ length: 13 }, (_, i) => ({ timestamp: i * 1000, size: 100 + (i % 2) })),
+    { timestamp: 13000, size: 500 },
+    { timestamp: 14000, size: 501 }
+  ];
+  // The second run is too short to count
+  assert.deepStrictEqual(stillFrameRuns(frames, { minSeconds: 10 }), [{ startTime: 0, endTime: 13000 }]);
+  assert.deepStrictEqual(stillFrameRuns([]), []);
+});
+
+test('detector output becomes intervals clipped to the file', () => {
+  const lines = [
+    '[freezedetect @ 0x1] lavfi.freezedetect.freeze_start: 12.3',
+    '[freezedetect @ 0x1] lavfi.freezedetect.freeze_duration: 7.7',
+    '[freezedetect @ 0x1] lavfi.freezedetect.freeze_end: 20',
+    '[freezedetect @ 0x1] lavfi.freezedetect.freeze_start: -0.01',
+    '[freezedetect @ 0x1] lavfi.freezedetect.freeze_end: 3',
+    // Still frozen at the end of the file: no freeze_end
+    '[freezedetect @ 0x1] lavfi.freezedetect.freeze_start: 50'
+  ];
+  assert.deepStrictEqual(detectedIntervals(lines, 'freeze', 55), [
+    { start: 12.3, end: 20 },
+    { start: 0, end: 3 },
+    { start: 50, end: 55 }
+  ]);
+
+  const silence = ['[silencedetect @ 0x2] silence_start: 40', '[silencedetect @ 0x2] silence_end: 70 | silence_duration: 30'];
+  assert.deepStrictEqual(detectedIntervals(silence, 'silence', 60), [{ start: 40, end: 60 }]);
+  assert.deepStrictEqual(detectedIntervals(['silence_start: 60'], 'silence', 60), []);
+});
+
+test('idle means still and silent when both tracks were detected', () => {
+  const still = [{ start: 0, end: 20 }, { start: 30, end: 50 }];
+  const silence = [{ start: 5, end: 40 }];
+  assert.deepStrictEqual(idleIntervals({ still, silence, minSeconds: 10 }), [{ start: 5, end: 20 }, { start: 30, end: 40 }]);
+  assert.deepStrictEqual(idleIntervals({ still, silence, minSeconds: 12 }), [{ start: 5, end: 20 }]);
+  assert.deepStrictEqual(idleIntervals({ silence, minSeconds: 10 }), [{ start: 5, end: 40 }]);
+  assert.deepStrictEqual(idleIntervals({ minSeconds: 10 }), []);
+});
+
+test('cut plans drop idle stretches but keep a second of context at each end', () => {
+  const intervals = [{ start: 10, end: 30 }, { start: 50, end: 60 }];
+  assert.deepStrictEqual(condensedRanges(intervals, 60), {
+    ranges: [{ start: 0, end: 11, speed: 1 }, { start: 29, end: 51, speed: 1 }, { start: 59, end: 60, speed: 1 }],
+    duration: 34
+  });
+
+  // Stretches shorter than minIdleSeconds, or too short to cut inside the edges, stay
+  assert.deepStrictEqual(condensedRanges(intervals, 60, { minIdleSeconds: 15 }), {
+    ranges: [{ start: 0, end: 11, speed: 1 }, { start: 29, end: 60, speed: 1 }],
+    duration: 42
+  });
+  assert.deepStrictEqual(condensedRanges([{ start: 5, end: 6.5 }], 10), {
+    ranges: [{ start: 0, end: 10, speed: 1 }],
+    duration: 10
+  });
+});
+
+test('speed plans play idle stretches faster', () => {
+  const { ranges, duration } = condensedRanges([{ start: 10, end: 30 }, { start: 50, end: 60 }], 60, { mode: 'speed', speed: 4 });
+  assert.deepStrictEqual(ranges, [
+    { start: 0, end: 11, speed: 1 },
+    { start: 11, end: 29, speed: 4 },
+    { start: 29, end: 51, speed: 1 },
+    { start: 51, end: 59, speed: 4 },
+    { start: 59, end: 60, speed: 1 }
+  ]);
+  assert.strictEqual(duration, 40.5);
+});
+
+test('condense options are validated', () => {
+  assert.deepStrictEqual(resolveCondenseOptions(), { mode: 'cut', speed: null, minIdleSeconds: 0 });
+  assert.deepStrictEqual(resolveCondenseOptions({ mode: 'speed', minIdleSeconds: '30' }), { mode: 'speed', speed: 4, minIdleSeconds: 30 });
+  assert.throws(() => resolveCondenseOptions({ mode: 'skip' }), /Unknown condense mode: skip/);
+  assert.throws(() => resolveCondenseOptions({ mode: 'speed', speed: 1 }), /speed must be a whole number from 2 to 16/);
+  assert.throws(() => resolveCondenseOptions({ mode: 'speed', speed: 2.5 }), /speed must be a whole number/);
+  assert.throws(() => resolveCondenseOptions({ minIdleSeconds: -1 }), /minIdleSeconds must be/);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const RecordingCatalog = require('../RecordingCatalog');
+const RecordingManager = require('../RecordingManager');
+
+test('uncatalogued temp dirs are catalogued as interrupted and rebuilt from frame filenames', async (t) => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'recovery-'));
+  t.after(() => fs.remove(root));
+
+  const captureStart = 1760000000000;
+  const tempDir = path.join(root, 'rooms', 'room-1', 'temp', '11111111-aaaa-4aaa-8aaa-111111111111');
+  await fs.ensureDir(path.join(tempDir, 'frames'));
+  await fs.ensureDir(path.join(tempDir, 'audio'));
+  for (let i = 0; i < 4; i++) {
+    const framePath = path.join(tempDir, 'frames', `frame_${String(i).padStart(6, '0')}_${captureStart + i * 500}.webp`);
+    await fs.writeFile(framePath, 'frame');
+    // A copied or restored dir: mtimes say nothing about capture time
+    await fs.utimes(framePath, new Date(), new Date(Date.now() - i * 60000));
+  }
+  await fs.writeFile(path.join(tempDir, 'audio', `audio_000000_${captureStart + 1000}.webm`), 'audio');
+  await fs.ensureDir(path.join(root, 'rooms', 'room-1', 'temp', 'empty'));
+
+  const catalog = new RecordingCatalog(root).load();
+  const manager = new RecordingManager('room-1', null, { storagePath: root, catalog });
+  const adopted = await manager.adoptOrphanedTempDirs();
+
+  assert.strictEqual(adopted.length, 1);
+  assert.strictEqual(adopted[0].status, 'interrupted');
+  assert.strictEqual(catalog.get(adopted[0].id).status, 'interrupted');
+
+  const recording = await manager.rebuildMediaIndex(adopted[0]);
+  assert.deepStrictEqual(recording.frameFiles.map(frame => frame.timestamp - captureStart), [0, 500, 1000, 1500]);
+  assert.strictEqual(recording.stats.firstFrameTime, captureStart);
+  assert.strictEqual(recording.audioFiles.length, 1);
+
+  // Already catalogued now: not adopted twice
+  assert.strictEqual((await manager.adoptOrphanedTempDirs()).length, 0);
+  await catalog.writeChain;
+});
+
+test('frames named without a timestamp are placed by sequence number', async (t) => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'recovery-'));
+  t.after(() => fs.remove(root));
+
+  const tempDir = path.join(root, 'rooms', 'room-1', 'temp', '22222222-bbbb-4bbb-8bbb-222222222222');
+  await fs.ensureDir(path.join(tempDir, 'frames'));
+  for (let i = 0; i < 3; i++) {
+    await fs.writeFile(path.join(tempDir, 'frames', `frame_${String(i).padStart(6, '0')}.webp`), 'frame');
+  }
+
+  const catalog = new RecordingCatalog(root).load();
+  const manager = new RecordingManager('room-1', null, { storagePath: root, catalog });
+  const [recording] = await manager.adoptOrphanedTempDirs();
+  await manager.rebuildMediaIndex(recording);
+
+  const start = recording.startedAt.getTime();
+  assert.deepStrictEqual(recording.frameFiles.map(frame => frame.timestamp - start), [0, 33, 67]);
+  await catalog.writeChain;
+});
+
+test('queued recordings whose job is gone from the queue are not left waiting', async (t) => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'recovery-'));
+  t.after(() => fs.remove(root));
+
+  const catalog = new RecordingCatalog(root).load();
+  const recording = (id, jobId, type = 'ui-screen') => ({
+    id, roomId: 'room-1', type, status: 'queued', jobId, startedAt: new Date(), options: {}, stats: {}
+  });
+  await catalog.save(recording('rec-waiting', 'job-queued'));
+  await catalog.save(recording('rec-gave-up', 'job-failed'));
+  await catalog.save(recording('rec-lost', 'job-pruned'));
+  await catalog.save(recording('clip-lost', 'job-pruned', 'clip'));
+
+  const jobs = {
+    'job-queued': { id: 'job-queued', status: 'queued' },
+    'job-failed': { id: 'job-failed', status: 'failed', error: 'FFmpeg exited with code 1' }
+  };
+  const jobQueue = { getJob: (jobId) => jobs[jobId] || null };
+  const manager = new RecordingManager('room-1', null, { storagePath: root, catalog, jobQueue });
+
+  assert.strictEqual(manager.getStatus('rec-waiting').status, 'queued');
+  assert.strictEqual(manager.getStatus('rec-gave-up').status, 'failed');
+  assert.strictEqual(manager.getStatus('rec-gave-up').error, 'FFmpeg exited with code 1');
+  assert.strictEqual(manager.getStatus('rec-lost').status, 'interrupted');
+  assert.strictEqual(manager.getStatus('clip-lost').status, 'failed');
+
+  await catalog.writeChain;
+  assert.strictEqual(catalog.get('rec-lost').status, 'interrupted');
+  assert.strictEqual(catalog.get('rec-lost').jobId, null);
+});
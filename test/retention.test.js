@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const RecordingCatalog = require('../RecordingCatalog');
+const RetentionManager = require('../RetentionManager');
+
+const entry = (id, roomId, status, storedBytes) => ({
+  id, roomId, status, startedAt: new Date(0), options: {}, stats: { storedBytes }
+});
+
+async function setup(t, storage) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'retention-'));
+  t.after(() => fs.remove(root));
+
+  const catalog = new RecordingCatalog(root).load();
+  const retention = new RetentionManager({ storagePath: root, catalog, storage, settings: { staleTempHours: 1 } });
+  return { root, catalog, retention };
+}
+
+test('remote outputs count towards usage from their catalogued size', async (t) => {
+  const { root, catalog, retention } = await setup(t, { isLocal: false });
+  await catalog.save(entry('rec-a', 'room-1', 'completed', 5000));
+  await catalog.save(entry('rec-b', 'room-1', 'completed', 3000));
+  await catalog.save(entry('rec-c', 'room-2', 'completed', 1000));
+  await fs.outputFile(path.join(root, 'rooms', 'room-1', 'temp', 'rec-d', 'audio.webm'), Buffer.alloc(200));
+
+  assert.strictEqual(await retention.getRoomUsage('room-1'), 8200);
+  const usage = await retention.getUsage();
+  assert.deepStrictEqual(usage.rooms, { 'room-1': 8200, 'room-2': 1000 });
+  assert.strictEqual(usage.totalBytes, 9200);
+});
+
+test('local outputs are measured on disk only', async (t) => {
+  const { root, catalog, retention } = await setup(t, { isLocal: true });
+  await catalog.save(entry('rec-a', 'room-1', 'completed', 5000));
+  await fs.outputFile(path.join(root, 'rooms', 'room-1', 'completed', 'rec-a.mp4'), Buffer.alloc(5000));
+
+  assert.strictEqual(await retention.getRoomUsage('room-1'), 5000);
+});
+
+test('stale temp dirs of finished recordings are removed, recoverable and uncatalogued ones kept', async (t) => {
+  const { root, catalog, retention } = await setup(t, { isLocal: true });
+  const statuses = { 'rec-failed': 'failed', 'rec-done': 'completed', 'rec-interrupted': 'interrupted', 'rec-queued': 'queued' };
+  const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+
+  for (const [id, status] of Object.entries(statuses)) {
+    await catalog.save(entry(id, 'room-1', status, 0));
+  }
+  for (const id of [...Object.keys(statuses), 'rec-unknown']) {
+    const dir = path.join(root, 'rooms', 'room-1', 'temp', id);
+    await fs.outputFile(path.join(dir, 'frame.webp'), 'x');
+    await fs.utimes(dir, old, old);
+  }
+
+  const removed = (await retention.cleanupStaleTemp()).map(item => item.recordingId).sort();
+  assert.deepStrictEqual(removed, ['rec-done', 'rec-failed']);
+  // No catalog entry: possibly a crashed capture that recovery has yet to adopt
+  assert.ok(await fs.pathExists(path.join(root, 'rooms', 'room-1', 'temp', 'rec-unknown')));
+  assert.ok(await fs.pathExists(path.join(root, 'rooms', 'room-1', 'temp', 'rec-interrupted')));
+  assert.ok(await fs.pathExists(path.join(root, 'rooms', 'room-1', 'temp', 'rec-queued')));
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { isValidRoomId, decodePathSegments, roomIdFromPath, roomFilePath } = require('../roomPaths');
+
+const root = path.resolve('/data');
+
+test('room IDs: plain ids pass, dot segments and separators do not', () => {
+  assert.ok(isValidRoomId('atstQ1WlLUo3mvL8ANj_PLqO'));
+  assert.ok(isValidRoomId('room-1.backup'));
+  for (const roomId of ['', '.', '..', '../b', 'a/b', 'a\\b', '.hidden', 'a b', 'x'.repeat(129), null, 42]) {
+    assert.ok(!isValidRoomId(roomId), `${roomId} should be rejected`);
+  }
+});
+
+test('encoded separators and dot segments are rejected after decoding', () => {
+  assert.deepStrictEqual(decodePathSegments('/rooms/a/completed/x.mp4'), ['rooms', 'a', 'completed', 'x.mp4']);
+  assert.deepStrictEqual(decodePathSegments('/rooms/a%20b/completed/x.mp4'), ['rooms', 'a b', 'completed', 'x.mp4']);
+  assert.strictEqual(decodePathSegments('/rooms/a/..%2Fb%2Fcompleted/secret.mp4'), null);
+  assert.strictEqual(decodePathSegments('/rooms/a/%2e%2e/b/completed/secret.mp4'), null);
+  assert.strictEqual(decodePathSegments('/rooms/a/completed/..%5Csecret.mp4'), null);
+  assert.strictEqual(decodePathSegments('/rooms/a/completed/%E0%A4%A'), null);
+});
+
+test('the room of a path is the decoded second segment', () => {
+  assert.strictEqual(roomIdFromPath('/rooms/a/completed/x.mp4'), 'a');
+  assert.strictEqual(roomIdFromPath('/rooms/a/..%2Fb%2Fcompleted/secret.mp4'), null);
+  assert.strictEqual(roomIdFromPath('/rooms/..%2Fb/completed/x.mp4'), null);
+  assert.strictEqual(roomIdFromPath('/other/a/x.mp4'), null);
+  assert.strictEqual(roomIdFromPath('/rooms'), null);
+});
+
+test('file paths stay inside the authorized room', () => {
+  assert.strictEqual(roomFilePath(root, 'a', 'completed', 'x.mp4'), path.join(root, 'rooms', 'a', 'completed', 'x.mp4'));
+  assert.strictEqual(roomFilePath(root, 'a', '../b/completed', 'secret.mp4'), null);
+  assert.strictEqual(roomFilePath(root, 'a', '..', 'b'), null);
+  assert.strictEqual(roomFilePath(root, 'a', 'completed', '..\\..\\b'), null);
+  assert.strictEqual(roomFilePath(root, '..', 'b', 'x'), null);
+  assert.strictEqual(roomFilePath(root, 'a'), null);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const Transcriber = require('../Transcriber');
+
+test('whisper needs an existing model file at startup', async (t) => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'transcriber-'));
+  t.after(() => fs.remove(root));
+  const model = path.join(root, 'ggml-base.bin');
+  await fs.writeFile(model, 'model');
+
+  assert.throws(() => new Transcriber({ engine: 'whisper' }), /needs a model file \(set TRANSCRIPTION_MODEL\)/);
+  assert.throws(() => new Transcriber({ engine: 'whisper', model: path.join(root, 'missing.bin') }), /Transcription model not found/);
+  assert.strictEqual(new Transcriber({ engine: 'whisper', model }).enabled, true);
+});
+
+test('vosk and a disabled transcriber need no model', () => {
+  assert.strictEqual(new Transcriber({ engine: 'vosk' }).enabled, true);
+  assert.strictEqual(new Transcriber({ engine: 'none' }).enabled, false);
+  assert.throws(() => new Transcriber({ engine: 'deepspeech' }), /Unknown transcription engine: deepspeech/);
+});
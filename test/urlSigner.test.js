@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createUrlSigner } = require('../urlSigner');
+
+const signer = createUrlSigner({ enabled: true, secret: 'sign-secret', ttl: 60 });
+const query = (url) => Object.fromEntries(new URL(url, 'http://x').searchParams);
+
+test('a signed URL verifies for its own path', () => {
+  const url = signer.sign('/recordings/rooms/a/completed/x.mp4');
+  assert.doesNotThrow(() => signer.verify('/recordings/rooms/a/completed/x.mp4', query(url)));
+  // The signature covers the decoded path, so encoding differences don't matter
+  assert.doesNotThrow(() => signer.verify('/recordings/rooms/a/completed/x%2Emp4', query(url)));
+});
+
+test('signatures cannot be moved to another file or extended', () => {
+  const params = query(signer.sign('/recordings/rooms/a/completed/x.mp4'));
+  assert.throws(() => signer.verify('/recordings/rooms/b/completed/x.mp4', params), /Invalid URL signature/);
+  assert.throws(() => signer.verify('/recordings/rooms/a/completed/x.mp4', { ...params, expires: String(Number(params.expires) + 3600) }), /Invalid URL signature/);
+  assert.throws(() => signer.verify('/recordings/rooms/a/completed/x.mp4', { ...params, signature: 'AAAA' }), /Invalid URL signature/);
+  assert.throws(() => signer.verify('/recordings/rooms/a/completed/x.mp4', {}), /Signed URL required/);
+});
+
+test('expired links are rejected', () => {
+  const params = query(signer.sign('/recordings/rooms/a/completed/x.mp4', -10));
+  assert.throws(() => signer.verify('/recordings/rooms/a/completed/x.mp4', params), /Link expired/);
+});
+
+test('existing query strings are kept', () => {
+  const url = signer.sign('/recordings/rooms/a/completed/x.mp4?inline=1');
+  assert.match(url, /\?inline=1&expires=\d+&signature=/);
+  assert.doesNotThrow(() => signer.verify('/recordings/rooms/a/completed/x.mp4', query(url)));
+});
+
+test('a different secret does not verify', () => {
+  const other = createUrlSigner({ enabled: true, secret: 'other', ttl: 60 });
+  const params = query(other.sign('/recordings/rooms/a/completed/x.mp4'));
+  assert.throws(() => signer.verify('/recordings/rooms/a/completed/x.mp4', params), /Invalid URL signature/);
+});
+
+test('enabling signing without a secret fails instead of leaving files public', () => {
+  assert.throws(() => createUrlSigner({ enabled: true }), /URL signing secret is not configured/);
+  const disabled = createUrlSigner({ enabled: false });
+  assert.strictEqual(disabled.sign('/recordings/x.mp4'), '/recordings/x.mp4');
+});
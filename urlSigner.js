@@ -0,0 +1,78 @@
+// urlSigner.js - time-limited HMAC-signed URLs for recording files
+// A signed URL is the original path plus ?expires=<unix seconds>&signature=<hmac>.
+// The signature covers the decoded path and the expiry, so links cannot be
+// re-pointed at another file or extended.
+const crypto = require('crypto');
+
+const normalizePath = (pathname) => {
+  try {
+    return decodeURIComponent(pathname);
+  } catch {
+    return pathname;
+  }
+};
+
+function createUrlSigner(options = {}) {
+  const enabled = !!options.enabled;
+  const secret = options.secret;
+  // Signing switched on without a key would leave every recording public
+  if (enabled && !secret) {
+    throw new Error('URL signing secret is not configured (set URL_SIGNING_SECRET or AUTH_TOKEN_SECRET)');
+  }
+  const ttl = options.ttl || 3600;
+
+  const signature = (pathname, expires) => crypto
+    .createHmac('sha256', secret)
+    .update(`${normalizePath(pathname)}\n${expires}`)
+    .digest('base64url');
+
+  const sign = (url, ttlSeconds = ttl) => {
+    if (!enabled || !url) {
+      return url;
+    }
+
+    const [pathname] = url.split('?');
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}expires=${expires}&signature=${signature(pathname, expires)}`;
+  };
+
+  // Throws when the signature is missing, wrong or expired
+  const verify = (pathname, query = {}) => {
+    const expires = parseInt(query.expires, 10);
+
+    if (!query.signature || !expires) {
+      throw new Error('Signed URL required');
+    }
+
+    const expected = Buffer.from(signature(pathname, expires));
+    const actual = Buffer.from(String(query.signature));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new Error('Invalid URL signature');
+    }
+
+    if (expires < Math.floor(Date.now() / 1000)) {
+      throw new Error('Link expired');
+    }
+  };
+
+  const expiresAt = (ttlSeconds = ttl) => new Date(Date.now() + ttlSeconds * 1000);
+
+  // Express middleware for routes that must only be reached through signed URLs
+  const requireSignature = (req, res, next) => {
+    if (!enabled) {
+      return next();
+    }
+
+    try {
+      verify(req.originalUrl.split('?')[0], req.query);
+      next();
+    } catch (error) {
+      res.status(403).json({ error: error.message });
+    }
+  };
+
+  return { enabled, ttl, sign, verify, expiresAt, requireSignature };
+}
+
+module.exports = { createUrlSigner };